@@ -1,466 +1,301 @@
-const { version } = require('./package.json');
-const storeAuth = require('./utils/storeAuth');
-const bitrixFetch = require('./utils/bitrixFetch');
-const buildQuery = require('./utils/buildQuery');
-const requestLimiter = require('./utils/requestLimiter');
-const install = require('./src/install');
-const { configureLogger, defaultLogger } = require('./utils/logFetch');
-const { validateAuth, validateRequest } = require('./utils/validationUtils');
-const {  getDefaultHeaders, extractDomainFromEndpoint } = require('./utils/requestUtils');
-const { handleError } = require('./utils/errorHandler');
+const Bitrix24Client = require('./src/client');
+const { RequestLimiter, defaultLimiter } = require('./utils/requestLimiter');
+const CircuitBreaker = require('./utils/circuitBreaker');
+const RetryPolicy = require('./utils/retryPolicy');
+const { Logger, defaultLogger } = require('./utils/logFetch');
+const {
+  Bitrix24Error,
+  NetworkError,
+  AuthError,
+  RateLimitError,
+  AccessDeniedError,
+  MethodNotFoundError,
+  ServerError,
+} = require('./utils/errors');
+const {
+  AuthStore,
+  MemoryAuthStore,
+  FileAuthStore,
+  SqliteAuthStore,
+  LimiterStore,
+  MemoryLimiterStore,
+  FileLimiterStore,
+  SqliteLimiterStore,
+} = require('./src/stores');
+const { encryptAuth, decryptAuth, reencryptAuth } = require('./utils/authEncryption');
 
 /**
  * Класс для работы с API Bitrix24
  *
- * Предоставляет функциональность для авторизации, выполнения запросов к API
- * и обновления токенов доступа.
+ * Статический интерфейс над экземпляром Bitrix24Client по умолчанию.
+ * Для работы с несколькими приложениями в одном процессе создавайте
+ * отдельные экземпляры Bitrix24Client.
  *
  * @class Bitrix24API
  * @since 1.0.0
  */
 class Bitrix24API {
   /**
-   * Версия клиента API
+   * Клиент по умолчанию, использующий общий логгер и лимитер
    * @private
-   * @type {string}
+   * @type {Bitrix24Client}
    */
-  static #VERSION = version;
+  static #defaultClient = new Bitrix24Client({
+    logger: defaultLogger,
+    limiter: defaultLimiter,
+  });
 
   /**
-   * Конечная точка для OAuth-авторизации
-   * @private
-   * @type {string}
+   * Конфигурация клиента по умолчанию
+   * @type {Object}
+   * @see Bitrix24Client#config
    */
-  static #OAUTH_TOKEN_ENDPOINT = 'https://oauth.bitrix24.tech/oauth/token/';
+  static get config() {
+    return this.#defaultClient.config;
+  }
+
+  static set config(config) {
+    this.#defaultClient.config = config;
+  }
 
   /**
-   * Конфигурация клиента API
-   * @type {Object}
-   * @property {string|null} client_id - Идентификатор приложения
-   * @property {string|null} client_secret - Секретный ключ приложения
-   * @property {Function} readAuth - Функция для чтения авторизации
-   * @property {Function} writeAuth - Функция для записи авторизации
-   * @property {Object} requestOptions - Настройки HTTP-запросов
-   * @property {number} requestOptions.tryes - Количество попыток запроса
-   * @property {number} requestOptions.pause - Пауза между попытками (мс)
-   * @property {number} requestOptions.abortTimeout - Время ожидания (мс)
-   * @property {string|null} proxy - Настройки прокси (null - без прокси)
-   * @property {Object} requestOptions.logger - Объект для логирования
-   * @property {Object} logger - Настройки логирования
-   * @property {boolean} logger.enabled - Включено ли логирование
-   * @property {string} logger.level - Уровень логирования
+   * Клиент по умолчанию, которому делегируются статические методы
+   * @type {Bitrix24Client}
    */
-  static config = {
-    client_id: null,
-    client_secret: null,
-    readAuth: storeAuth.readAuth,
-    writeAuth: storeAuth.writeAuth,
-    requestOptions: {
-      tryes: 3,
-      pause: 1000,
-      abortTimeout: 15000,
-    },
-    proxy: null,
-    logger: defaultLogger, // Теперь здесь сам объект логгера
-  };
+  static get defaultClient() {
+    return this.#defaultClient;
+  }
 
   /**
-   * Выполняет запрос к API Bitrix24
+   * Подключает хранилище авторизаций к клиенту по умолчанию
    *
-   * Этот метод получает данные авторизации из хранилища, выполняет запрос
-   * и автоматически обновляет токены доступа при необходимости.
+   * @param {AuthStore} store - Хранилище с методами get, set, delete и list
+   * @returns {Bitrix24Client} Клиент по умолчанию
+   * @see Bitrix24Client#useAuthStore
+   */
+  static useAuthStore(store) {
+    return this.#defaultClient.useAuthStore(store);
+  }
+
+  /**
+   * Выполняет запрос к API Bitrix24
    *
    * @param {string} method - Метод API Bitrix24
    * @param {Object} [params={}] - Параметры запроса
    * @param {Object} auth - Объект с данными авторизации или идентификатором
+   * @param {Object} [options={}] - Настройки вызова (tryes, pause, abortTimeout, rateLimitTryes, retryAmbiguous,
+   * retryPolicy, deadline, dedupe, signal, priority)
    * @returns {Promise<Object>} Ответ от Bitrix24 API
+   * @see Bitrix24Client#call
    * @example
    * // Получение списка лидов
    * const result = await Bitrix24API.call('crm.lead.list', { select: ['ID', 'TITLE'] }, { domain: 'example.bitrix24.ru' });
    */
-  static async call(method, params = {}, auth) {
-    validateRequest(method, auth, this.config);
-    const query = { method, params };
-    return this.#makeBitrixApiCall(query, auth);
+  static async call(method, params = {}, auth, options = {}) {
+    return this.#defaultClient.call(method, params, auth, options);
   }
 
   /**
-   * Выполняет прямой запрос к API Bitrix24 с переданной авторизацией
+   * Выполняет набор команд через метод batch
    *
-   * В отличие от метода call, не выполняет получение авторизации из хранилища
-   * и не обновляет токены при их истечении.
+   * @param {Object|Array} commands - Объект { name: { method, params } } или массив { method, params }
+   * @param {Object} [auth] - Объект с данными авторизации или идентификатором
+   * @param {Object} [options={}] - Настройки выполнения
+   * @param {boolean} [options.halt=false] - Прерывать выполнение при первой ошибке
+   * @returns {Promise<Object>} Объединенный ответ batch (при ошибке следующего пакета - с failedChunk и failedCommands)
+   * @see Bitrix24Client#batch
+   */
+  static async batch(commands, auth, options = {}) {
+    return this.#defaultClient.batch(commands, auth, options);
+  }
+
+  /**
+   * Постранично обходит списочный метод, возвращая асинхронный итератор записей
+   *
+   * @param {string} method - Списочный метод API
+   * @param {Object} [params={}] - Параметры метода
+   * @param {Object} [auth] - Объект с данными авторизации или идентификатором
+   * @param {Object} [options={}] - Настройки обхода
+   * @returns {AsyncGenerator<Object>} Асинхронный итератор записей
+   * @see Bitrix24Client#listAll
+   */
+  static listAll(method, params = {}, auth, options = {}) {
+    return this.#defaultClient.listAll(method, params, auth, options);
+  }
+
+  /**
+   * Получает все записи списочного метода одним массивом
+   *
+   * @param {string} method - Списочный метод API
+   * @param {Object} [params={}] - Параметры метода
+   * @param {Object} [auth] - Объект с данными авторизации или идентификатором
+   * @param {Object} [options={}] - Настройки обхода
+   * @returns {Promise<Array>} Массив всех записей
+   * @see Bitrix24Client#fetchAll
+   */
+  static async fetchAll(method, params = {}, auth, options = {}) {
+    return this.#defaultClient.fetchAll(method, params, auth, options);
+  }
+
+  /**
+   * Выполняет прямой запрос к API Bitrix24 с переданной авторизацией
    *
    * @param {string} method - Метод API Bitrix24
    * @param {Object} [params={}] - Параметры запроса
    * @param {Object} directAuth - Объект с данными авторизации
-   * @param {string} directAuth.domain - Домен Bitrix24
-   * @param {string} directAuth.client_endpoint - URL REST API
-   * @param {string} directAuth.access_token - Токен доступа
+   * @param {Object} [options={}] - Настройки вызова (tryes, pause, abortTimeout, rateLimitTryes, retryAmbiguous,
+   * retryPolicy, deadline, signal, priority)
    * @returns {Promise<Object>} Ответ от Bitrix24 или объект ошибки
-   * @example
-   * // Прямой запрос с авторизацией
-   * const result = await Bitrix24API.callDirect('crm.lead.get',
-   *   { id: 123 },
-   *   { domain: 'example.bitrix24.ru', client_endpoint: 'https://example.bitrix24.ru/rest/', access_token: 'token123' }
-   * );
+   * @see Bitrix24Client#callDirect
    */
-  static async callDirect(method, params = {}, directAuth) {
-    try {
-      validateRequest(method, directAuth, this.config);
-
-      // Формируем объект запроса в том же формате, что и для стандартного вызова
-      const query = { method, params };
-
-      // Используем существующий метод для подготовки запроса
-      const requestData = this.#prepareApiRequest(query, directAuth);
-
-      // Выполняем запрос с использованием общего метода
-      return await this.#executeRequest(requestData);
-    } catch (err) {
-      return handleError(err);
-    }
+  static async callDirect(method, params = {}, directAuth, options = {}) {
+    return this.#defaultClient.callDirect(method, params, directAuth, options);
   }
 
   /**
    * Устанавливает приложение для работы с API Bitrix24
    *
-   * Выполняет процесс установки приложения и сохраняет полученные токены доступа.
-   *
    * @param {Object} auth - Объект с данными для авторизации
    * @returns {Promise<Object>} Результат установки приложения
-   * @example
-   * // Установка приложения
-   * const result = await Bitrix24API.installApp({
-   *   domain: 'example.bitrix24.ru',
-   *   code: 'authorization_code_from_bitrix'
-   * });
+   * @see Bitrix24Client#installApp
    */
   static async installApp(auth) {
-    try {
-      const authSetter = async (settings, isInstall = false) => await this.#setAuth(settings, isInstall);
-      return install(auth, authSetter, {
-        logger: this.config.logger
-      });
-    } catch (err) {
-      return handleError(err);
-    }
+    return this.#defaultClient.installApp(auth);
   }
 
   /**
-   * Настраивает логирование для API
-   *
-   * Позволяет изменить параметры логирования запросов и ответов.
+   * Удаляет приложение по событию ONAPPUNINSTALL
    *
-   * @param {Object} options - Настройки логирования
-   * @param {boolean} [options.enabled] - Включить/выключить логирование
-   * @param {string} [options.level] - Уровень логирования ('debug', 'info', 'warn', 'error')
-   * @example
-   * // Настройка логирования
-   * Bitrix24API.configureLogger({
-   *   enabled: true,
-   *   level: 'info'
-   * });
+   * @param {Object} request - Тело запроса события удаления
+   * @returns {Promise<Object>} Результат удаления приложения
+   * @see Bitrix24Client#uninstallApp
    */
-  static configureLogger(options) {
-    // Настраиваем сам объект логгера, а не отдельные настройки
-    const configuredLogger = configureLogger({
-      enabled: options.enabled,
-      level: options.level,
-      logger: this.config.logger,
-    });
-
-    // Заменяем объект логгера в конфигурации
-    this.config.logger = configuredLogger;
-
-    // Передаем логгер в лимитер запросов
-    requestLimiter.setLogger(configuredLogger);
-
-    return configuredLogger;
+  static async uninstallApp(request) {
+    return this.#defaultClient.uninstallApp(request);
   }
 
   /**
-   * Получает настройки приложения из хранилища или из auth.
+   * Разбирает тело входящего события Bitrix24 без проверки подлинности
    *
-   * @private
-   * @param {Object} auth - Данные авторизации или идентификатор
-   * @returns {Promise<Object|false>} Настройки приложения или false
+   * @param {string|Buffer|URLSearchParams|Object} body - Тело запроса события
+   * @returns {Object} Нормализованное событие { event, data, ts, auth, domain, member_id }
+   * @see Bitrix24Client#parseEvent
    */
-  static async #getAuth(auth) {
-    const authData = await this.config.readAuth(auth);
-
-    if (!authData) return false;
-
-    if (validateAuth(authData)) {
-      return authData;
-    }
-
-    return false;
+  static parseEvent(body) {
+    return this.#defaultClient.parseEvent(body);
   }
 
   /**
-   * Сохраняет новые настройки приложения через кастомный обработчик или напрямую.
+   * Разбирает входящее событие Bitrix24 и проверяет его application_token
    *
-   * @private
-   * @param {Object} auth - Настройки авторизации для сохранения
-   * @returns {Promise<boolean>} true если успешно, иначе false
+   * @param {string|Buffer|URLSearchParams|Object} body - Тело запроса события
+   * @returns {Promise<Object>} Нормализованное событие или объект ошибки
+   * @see Bitrix24Client#verifyEvent
    */
-  static async #setAuth(auth, isInstall = false) {
-    if (validateAuth(auth)) {
-      return await this.config.writeAuth(auth, isInstall);
-    }
-
-    return false;
+  static async verifyEvent(body) {
+    return this.#defaultClient.verifyEvent(body);
   }
 
   /**
-   * Обновляет токен авторизации при его истечении.
-   *
-   * Делает несколько попыток запроса oauth.token, используя настройки
-   * config.requestOptions.tryes и config.requestOptions.pause.
+   * Создает обработчик эндпоинтов приложения для Express/Connect или node:http
    *
-   * @private
-   * @param {Object} query - Исходный запрос (method, params)
-   * @param {Object} auth - Данные авторизации
-   * @returns {Promise<Object|null>} Новый ответ или null
+   * @param {Object} [options={}] - Настройки обработчиков
+   * @returns {Function} Middleware (req, res, next) с методом on(eventName, handler)
+   * @see Bitrix24Client#createMiddleware
    */
-  static async #refreshAuth(query, auth) {
-    try {
-      const { tryes = 3, pause = 1000 } = this.config.requestOptions || {};
-      const refreshLogContext = {
-        domain: auth.domain,
-        apiMethod: 'oauth.token',
-      };
-      // Логируем начало обновления токена
-      this.config.logger.info(`Начало обновления токена для ${auth.domain}`, refreshLogContext);
-
-      // Определяем, используем ли локальные идентификаторы или глобальные
-      const isLocalBitrix = auth.status === 'L' &&
-        auth.C_REST_CLIENT_ID &&
-        auth.C_REST_CLIENT_SECRET;
-
-      const refreshQuery = {
-        this_auth: 'Y',
-        method: 'oauth.token',
-        params: {
-          client_id: isLocalBitrix ? auth.C_REST_CLIENT_ID : this.config.client_id,
-          grant_type: 'refresh_token',
-          client_secret: isLocalBitrix ? auth.C_REST_CLIENT_SECRET : this.config.client_secret,
-          refresh_token: auth.refresh_token,
-        },
-      };
-
-      // Логируем режим обновления токена
-      this.config.logger.info(
-        `Обновление токена в режиме: ${isLocalBitrix ? 'локальный Битрикс24' : 'облачный Битрикс24'}`,
-        refreshLogContext
-      );
-
-      let lastError;
-      let updatedAuth;
-
-      for (let attempt = 1; attempt <= tryes; attempt++) {
-        try {
-          const requestData = this.#prepareOAuthRequest(refreshQuery, auth);
-          updatedAuth = await this.#executeRequest(requestData);
-
-          // Если ответ в формате ошибки Bitrix24
-          if (!updatedAuth || updatedAuth?.error || updatedAuth.format === 'text' || updatedAuth.format === 'html') {
-            if (this.#isNonRetryableOAuthError(updatedAuth)) {
-              this.config.logger.error(
-                `Обновление токена невозможно для ${auth.domain}: ${updatedAuth.error_description || updatedAuth.error}`,
-                refreshLogContext
-              );
-              return null;
-            }
-
-            this.config.logger.warn(
-              `Ошибка обновления токена (попытка ${attempt}/${tryes}) для ${auth.domain}: ${updatedAuth?.error_description || updatedAuth?.error || 'Ответ без тела'}`,
-              refreshLogContext
-            );
-            lastError = new Error(updatedAuth?.error_description || updatedAuth?.error || 'Ответ без тела');
-          } else {
-            // Успешно получили новые токены – выходим из цикла
-            break;
-          }
-        } catch (err) {
-          lastError = err;
-          this.config.logger.warn(
-            `Не удалось обновить токен (попытка ${attempt}/${tryes}) для ${auth.domain}: ${err.message}`,
-            refreshLogContext
-          );
-        }
-
-        // Если это не последняя попытка – ждём паузу
-        if (attempt < tryes && pause > 0) {
-          await new Promise((resolve) => setTimeout(resolve, pause));
-        }
-      }
-
-      // Если после всех попыток так и не получили валидные данные
-      if (!updatedAuth || updatedAuth?.error || updatedAuth.format === 'text' || updatedAuth.format === 'html') {
-        this.config.logger.error(
-          `Обновление токена провалено после ${tryes} попыток для ${auth.domain}: ${lastError ? lastError.message : 'unknown error'
-          }`,
-          refreshLogContext
-        );
-        return null;
-      }
-
-      // Сохраняем локальные идентификаторы в новом объекте авторизации
-      const newAuth = {
-        ...updatedAuth,
-        domain: extractDomainFromEndpoint(updatedAuth.client_endpoint) || auth.domain,
-      };
-
-      // Переносим локальные настройки, если они были в исходном объекте
-      if (isLocalBitrix) {
-        newAuth.status = 'L';
-        newAuth.C_REST_CLIENT_ID = auth.C_REST_CLIENT_ID;
-        newAuth.C_REST_CLIENT_SECRET = auth.C_REST_CLIENT_SECRET;
-      }
-
-      // Сохраняем новую авторизацию
-      const isSetAppSettings = await this.#setAuth(newAuth);
-
-      if (isSetAppSettings) {
-        this.config.logger.info(`Токен успешно обновлен для ${auth.domain}`, refreshLogContext);
-        // Выполняем исходный запрос с обновленной авторизацией
-        return await this.call(query.method, query.params, newAuth);
-      } else {
-        this.config.logger.error(`Не удалось сохранить новую авторизацию для ${auth.domain}`, refreshLogContext);
-        return null;
-      }
-    } catch (error) {
-      this.config.logger.error(`Ошибка при обновлении токена для ${auth.domain}: ${error.message}`, {
-        domain: auth.domain,
-        apiMethod: 'oauth.token',
-      });
-      return null;
-    }
+  static createMiddleware(options = {}) {
+    return this.#defaultClient.createMiddleware(options);
   }
 
-  static #isNonRetryableOAuthError(response) {
-    const error = String(response?.error || '').toLowerCase();
-    const description = String(response?.error_description || '').toLowerCase();
-
-    return [
-      'invalid_request',
-      'invalid_client',
-      'insufficient_scope',
-      'invalid_scope',
-      'invalid_grant',
-      'payment_required',
-    ].includes(error) ||
-      description.includes('subscription has been ended') ||
-      description.includes('payment required');
+  /**
+   * Создает плагин Fastify с эндпоинтами /install, /events и /placement
+   *
+   * @param {Object} [options={}] - Настройки обработчиков
+   * @returns {Function} Плагин Fastify
+   * @see Bitrix24Client#createFastifyPlugin
+   */
+  static createFastifyPlugin(options = {}) {
+    return this.#defaultClient.createFastifyPlugin(options);
   }
 
   /**
-   * Основной метод для выполнения запросов к API Bitrix24
-   *
-   * Получает данные авторизации, подготавливает запрос, выполняет его
-   * и обрабатывает результат, включая автоматическое обновление токенов.
+   * Настраивает логирование для API
    *
-   * @private
-   * @param {Object} query - Параметры запроса
-   * @param {string} query.method - Метод API
-   * @param {Object} query.params - Параметры метода
-   * @param {Object} auth - Данные авторизации или идентификатор
-   * @returns {Promise<Object>} Результат запроса
+   * @param {Object} options - Настройки логирования
+   * @param {boolean} [options.enabled] - Включить/выключить логирование
+   * @param {string} [options.level] - Уровень логирования ('debug', 'info', 'warn', 'error')
+   * @returns {Logger} Настроенный логгер
+   * @see Bitrix24Client#configureLogger
+   * @example
+   * // Настройка логирования
+   * Bitrix24API.configureLogger({
+   *   enabled: true,
+   *   level: 'info'
+   * });
    */
-  static async #makeBitrixApiCall(query, auth) {
-    const appAuth = await this.#getAuth(auth);
-    if (!appAuth) {
-      return handleError({ name: 'AuthError', message: 'No valid auth found' });
-    }
-
-    // Подготовка параметров запроса
-    const requestData =
-      query.this_auth === 'Y' ? this.#prepareOAuthRequest(query, appAuth) : this.#prepareApiRequest(query, appAuth);
-
-    // Выполнение запроса
-    const result = await this.#executeRequest(requestData);
-
-    // Обработка результата и ошибок
-    if (result?.error === 'expired_token' && !query.this_auth) {
-      return await this.#refreshAuth(query, appAuth);
-    }
-
-    return result;
+  static configureLogger(options) {
+    return this.#defaultClient.configureLogger(options);
   }
 
   /**
-   * Выполняет HTTP-запрос к API
+   * Настраивает профиль и адаптивный режим лимитера клиента по умолчанию
    *
-   * @private
-   * @param {Object} requestData - Данные для запроса
-   * @param {string} requestData.url - URL запроса
-   * @param {Object} requestData.params - Параметры fetch
-   * @param {Object} requestData.logContext - Контекст для логирования
-   * @returns {Promise<Object>} Результат запроса
+   * @param {Object} options - Настройки лимитера: profile, maxBucket, leakRate, profiles, adaptive и др.
+   * @returns {RequestLimiter} Лимитер клиента по умолчанию
+   * @see RequestLimiter#configure
+   * @example
+   * Bitrix24API.configureLimiter({ profiles: { 'company.bitrix24.ru': 'enterprise' }, adaptive: true });
    */
-  static async #executeRequest(requestData) {
-    const { url, params, logContext } = requestData;
-    return await bitrixFetch(url, params, {
-      ...this.config.requestOptions,
-      logger: this.config.logger,
-      proxy: this.config.proxy,
-      logContext,
-    });
+  static configureLimiter(options) {
+    return this.#defaultClient.limiter.configure(options);
   }
 
   /**
-   * Подготавливает запрос для OAuth-авторизации
+   * Возвращает статистику лимитера клиента по умолчанию
    *
-   * @private
-   * @param {Object} query - Параметры запроса
-   * @param {Object} auth - Данные авторизации
-   * @returns {Object} Подготовленные данные запроса
+   * @param {string} [domain] - Домен портала (без него - статистика всех порталов)
+   * @returns {Object|null} Статистика лимитера
+   * @see RequestLimiter#getStats
+   * @example
+   * const { queueLength, fillPercent } = Bitrix24API.getLimiterStats('company.bitrix24.ru');
    */
-  static #prepareOAuthRequest(query, auth) {
-    // Определяем OAuth endpoint
-    const oauthEndpoint = this.#OAUTH_TOKEN_ENDPOINT;
-
-    const url = oauthEndpoint + '?' + buildQuery(query.params).toString();
-    return {
-      url,
-      params: {
-        method: 'GET',
-        headers: getDefaultHeaders(this.#VERSION),
-      },
-      logContext: {
-        domain: auth.domain,
-        apiMethod: 'oauth.token',
-      },
-    };
+  static getLimiterStats(domain) {
+    return this.#defaultClient.limiter.getStats(domain);
   }
 
   /**
-   * Подготавливает запрос к API Bitrix24
+   * Определяет тариф портала и задает профиль лимитера
    *
-   * @private
-   * @param {Object} query - Параметры запроса
-   * @param {Object} appSettings - Настройки авторизации
-   * @returns {Object} Подготовленные данные запроса
+   * @param {Object} auth - Объект с данными авторизации или идентификатором
+   * @returns {Promise<string|null>} Имя профиля или null
+   * @see Bitrix24Client#detectLimiterProfile
    */
-  static #prepareApiRequest(query, appSettings) {
-    const url = appSettings.client_endpoint + query.method + '.json';
-    const params = {
-      method: 'POST',
-      redirect: 'manual',
-      headers: getDefaultHeaders(this.#VERSION),
-      body: buildQuery({ ...query.params, auth: appSettings.access_token }),
-    };
-
-    return {
-      url,
-      params,
-      logContext: {
-        domain: appSettings.domain,
-        apiMethod: query.method,
-      },
-    };
+  static async detectLimiterProfile(auth) {
+    return this.#defaultClient.detectLimiterProfile(auth);
   }
 }
 
 module.exports = Bitrix24API;
+module.exports.Bitrix24Client = Bitrix24Client;
+module.exports.RequestLimiter = RequestLimiter;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.RetryPolicy = RetryPolicy;
+module.exports.Logger = Logger;
+module.exports.AuthStore = AuthStore;
+module.exports.MemoryAuthStore = MemoryAuthStore;
+module.exports.FileAuthStore = FileAuthStore;
+module.exports.SqliteAuthStore = SqliteAuthStore;
+module.exports.LimiterStore = LimiterStore;
+module.exports.MemoryLimiterStore = MemoryLimiterStore;
+module.exports.FileLimiterStore = FileLimiterStore;
+module.exports.SqliteLimiterStore = SqliteLimiterStore;
+module.exports.encryptAuth = encryptAuth;
+module.exports.decryptAuth = decryptAuth;
+module.exports.reencryptAuth = reencryptAuth;
+module.exports.Bitrix24Error = Bitrix24Error;
+module.exports.NetworkError = NetworkError;
+module.exports.AuthError = AuthError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.AccessDeniedError = AccessDeniedError;
+module.exports.MethodNotFoundError = MethodNotFoundError;
+module.exports.ServerError = ServerError;
@@ -0,0 +1,193 @@
+const buildQuery = require('../utils/buildQuery');
+
+/**
+ * Максимальное количество команд в одном запросе batch (ограничение Bitrix24)
+ * @type {number}
+ */
+const BATCH_MAX_COMMANDS = 50;
+
+/**
+ * Разделы ответа batch, которые объединяются между пакетами
+ * @type {string[]}
+ */
+const RESULT_SECTIONS = ['result', 'result_error', 'result_total', 'result_next', 'result_time'];
+
+// Ссылка на результат другой команды: $result[name] или $result[name][ID][0]
+const RESULT_REFERENCE = /\$result\[([^\]]+)\]((?:\[[^\]]*\])*)/g;
+
+/**
+ * Приводит команды к единому списку с именами
+ * @param {Object|Array} commands - Объект { name: { method, params } } или массив { method, params }
+ * @returns {Array<{name: string, method: string, params: Object}>} Нормализованный список команд
+ */
+function normalizeCommands(commands) {
+  if (!commands || typeof commands !== 'object') {
+    throw new Error('commands must be an object or an array');
+  }
+
+  const entries = Array.isArray(commands)
+    ? commands.map((command, index) => [String(index), command])
+    : Object.entries(commands);
+
+  return entries.map(([name, command]) => {
+    if (!command?.method) {
+      throw new Error(`method is required for batch command "${name}"`);
+    }
+    return { name, method: command.method, params: command.params || {} };
+  });
+}
+
+/**
+ * Подставляет значения ссылок $result[...] на команды из уже выполненных пакетов
+ *
+ * Ссылки на команды текущего пакета остаются как есть — их разрешает Bitrix24.
+ *
+ * @param {any} value - Параметры команды или их часть
+ * @param {Object} results - Результаты уже выполненных команд
+ * @returns {any} Параметры с подставленными значениями
+ */
+function resolveReferences(value, results) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveReferences(item, results));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveReferences(item, results)]));
+  }
+
+  if (typeof value !== 'string' || !value.includes('$result[')) {
+    return value;
+  }
+
+  const lookup = (name, path) => {
+    if (!Object.prototype.hasOwnProperty.call(results, name)) return undefined;
+    const keys = [...path.matchAll(/\[([^\]]*)\]/g)].map((match) => match[1]);
+    return keys.reduce((current, key) => (current == null ? undefined : current[key]), results[name]);
+  };
+
+  // Значение целиком является ссылкой — подставляем как есть (число, массив, объект)
+  const whole = new RegExp(`^${RESULT_REFERENCE.source}$`).exec(value);
+  if (whole) {
+    const resolved = lookup(whole[1], whole[2]);
+    return resolved === undefined ? value : resolved;
+  }
+
+  return value.replace(RESULT_REFERENCE, (match, name, path) => {
+    const resolved = lookup(name, path);
+    return resolved === undefined || typeof resolved === 'object' ? match : String(resolved);
+  });
+}
+
+/**
+ * Сериализует команду в строку формата cmd[name] = "method?params"
+ * @param {Object} command - Нормализованная команда
+ * @returns {string} Строка команды
+ */
+function serializeCommand(command) {
+  const query = buildQuery(command.params).toString();
+  return query ? `${command.method}?${query}` : command.method;
+}
+
+/**
+ * Складывает блоки time ответов нескольких пакетов
+ *
+ * Длительности (duration, processing, operating) суммируются, начало берется
+ * из первого пакета, окончание и остальные поля - из последнего.
+ *
+ * @param {Object|undefined} total - Суммарный блок time предыдущих пакетов
+ * @param {Object|undefined} time - Блок time очередного пакета
+ * @returns {Object|undefined} Суммарный блок time
+ */
+function mergeTime(total, time) {
+  if (!total || !time) return time || total;
+
+  const merged = { ...time, start: total.start ?? time.start, date_start: total.date_start ?? time.date_start };
+  for (const key of ['duration', 'processing', 'operating']) {
+    if (typeof total[key] === 'number' || typeof time[key] === 'number') {
+      merged[key] = (total[key] || 0) + (time[key] || 0);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Выполняет команды через метод batch с разбиением на пакеты по 50 команд
+ *
+ * Каждый пакет отправляется отдельным запросом через callFunction и, следовательно,
+ * проходит через лимитер. Ссылки $result[name] между пакетами разрешаются на стороне
+ * клиента, внутри пакета — на стороне Bitrix24.
+ *
+ * Если запрос одного из следующих пакетов не выполнен, результаты уже выполненных
+ * пакетов не теряются: возвращается объединенный ответ с полями ошибки, номером
+ * пакета failedChunk и именами невыполненных команд failedCommands. Это позволяет
+ * повторить только их, не создавая дубликатов элементов из предыдущих пакетов.
+ *
+ * @param {Object|Array} commands - Объект { name: { method, params } } или массив { method, params }
+ * @param {Function} callFunction - Функция вызова метода batch с параметрами { halt, cmd }
+ * @param {Object} [options={}] - Дополнительные опции
+ * @param {boolean} [options.halt=false] - Прерывать выполнение при первой ошибке
+ * @param {Object} [options.logger] - Логгер
+ * @returns {Promise<Object>} Объединенный ответ { result: { result, result_error, result_total, result_next, result_time }, time }
+ * с суммарным time всех пакетов; объект ошибки, если не выполнен запрос первого пакета; объединенный ответ
+ * с полями error, error_description, failedChunk и failedCommands, если не выполнен запрос следующего пакета
+ */
+async function batch(commands, callFunction, options = {}) {
+  const { halt = false, logger } = options;
+  const normalized = normalizeCommands(commands);
+
+  const merged = Object.fromEntries(RESULT_SECTIONS.map((section) => [section, {}]));
+  const finalize = () =>
+    Array.isArray(commands) ? { ...merged, result: commands.map((_, index) => merged.result[index]) } : merged;
+  let time;
+
+  for (let offset = 0; offset < normalized.length; offset += BATCH_MAX_COMMANDS) {
+    const chunk = normalized.slice(offset, offset + BATCH_MAX_COMMANDS);
+    const cmd = {};
+
+    for (const command of chunk) {
+      const params = offset > 0 ? resolveReferences(command.params, merged.result) : command.params;
+      cmd[command.name] = serializeCommand({ ...command, params });
+    }
+
+    logger?.debug(`Выполнение пакета batch: команды ${offset + 1}-${offset + chunk.length} из ${normalized.length}`, {
+      apiMethod: 'batch',
+    });
+
+    const response = await callFunction({ halt: halt ? 1 : 0, cmd });
+
+    // Ошибка выполнения самого запроса batch, а не отдельной команды
+    if (!response?.result || response.error) {
+      if (offset === 0) return response;
+
+      const failedChunk = offset / BATCH_MAX_COMMANDS;
+      logger?.warn(`Пакет batch ${failedChunk + 1} не выполнен, возвращены результаты предыдущих пакетов`, {
+        apiMethod: 'batch',
+        error: response?.error,
+      });
+
+      return {
+        result: finalize(),
+        time,
+        error: response?.error || 'batch_error',
+        error_description: response?.error_description || 'Запрос пакета batch не выполнен',
+        failedChunk,
+        failedCommands: normalized.slice(offset).map((command) => command.name),
+        cause: response,
+      };
+    }
+
+    for (const section of RESULT_SECTIONS) {
+      Object.assign(merged[section], response.result[section] || {});
+    }
+    time = mergeTime(time, response.time);
+
+    if (halt && Object.keys(merged.result_error).length > 0) {
+      break;
+    }
+  }
+
+  return { result: finalize(), time };
+}
+
+module.exports = batch;
+module.exports.BATCH_MAX_COMMANDS = BATCH_MAX_COMMANDS;
@@ -0,0 +1,1182 @@
+const { version } = require('../package.json');
+const storeAuth = require('../utils/storeAuth');
+const bitrixFetch = require('../utils/bitrixFetch');
+const buildQuery = require('../utils/buildQuery');
+const install = require('./install');
+const uninstall = require('./uninstall');
+const batch = require('./batch');
+const { listAll, fetchAll } = require('./list');
+const callWithDedupe = require('./dedupe');
+const { parseEvent, verifyEvent } = require('./event');
+const { createRequestListener, createFastifyPlugin } = require('./handlers');
+const { RequestLimiter } = require('../utils/requestLimiter');
+const { Logger, configureLogger } = require('../utils/logFetch');
+const {
+  validateAuth,
+  validateRequest,
+  validateWebhookRequest,
+  isAuthExpiring,
+  withExpiresTimestamp,
+} = require('../utils/validationUtils');
+const {
+  getDefaultHeaders,
+  extractDomainFromEndpoint,
+  createAgent,
+  combineSignals,
+  sleep,
+} = require('../utils/requestUtils');
+const { classifyMethod, DEFAULT_RETRY_AMBIGUOUS } = require('../utils/methodSafety');
+const { encryptAuth, decryptAuth } = require('../utils/authEncryption');
+const { handleError } = require('../utils/errorHandler');
+const { isErrorResult, toBitrixError } = require('../utils/errors');
+const BitrixApiError = require('../utils/bitrixErrors');
+
+/**
+ * Клиент для работы с API Bitrix24
+ *
+ * Предоставляет функциональность для авторизации, выполнения запросов к API
+ * и обновления токенов доступа. Каждый экземпляр хранит собственную конфигурацию,
+ * логгер, лимитер запросов и пул HTTP-соединений.
+ *
+ * @class Bitrix24Client
+ * @since 0.5.0
+ */
+class Bitrix24Client {
+  /**
+   * Версия клиента API
+   * @private
+   * @type {string}
+   */
+  static #VERSION = version;
+
+  /**
+   * Конечная точка для OAuth-авторизации
+   * @private
+   * @type {string}
+   */
+  static #OAUTH_TOKEN_ENDPOINT = 'https://oauth.bitrix24.tech/oauth/token/';
+
+  /**
+   * Конфигурация клиента API
+   * @type {Object}
+   * @property {string|null} client_id - Идентификатор приложения
+   * @property {string|null} client_secret - Секретный ключ приложения
+   * @property {Function} readAuth - Функция для чтения авторизации
+   * @property {Function} writeAuth - Функция для записи авторизации
+   * @property {Function} deleteAuth - Функция для удаления авторизации при удалении приложения
+   * @property {Object} requestOptions - Настройки HTTP-запросов
+   * @property {number} requestOptions.tryes - Количество попыток запроса
+   * @property {number} requestOptions.pause - Пауза между попытками (мс)
+   * @property {number} requestOptions.abortTimeout - Время ожидания (мс)
+   * @property {number} requestOptions.rateLimitTryes - Количество повторов после ответов о превышении лимита
+   * @property {Object<string, boolean>} requestOptions.retryAmbiguous - Повторы после обрыва соединения или таймаута
+   * по классам методов { safe, unsafe, other }
+   * @property {RetryPolicy|Object} [requestOptions.retryPolicy] - Политика повторов: shouldRetry, джиттер, maxDelay, deadline
+   * @property {string|null} proxy - Настройки прокси (null - без прокси)
+   * @property {string|null} webhook - URL входящего вебхука (null - работа через OAuth)
+   * @property {number|null} tokenRefreshMargin - За сколько секунд до истечения обновлять токен заранее (null - только по ответу expired_token)
+   * @property {Object|null} refreshLock - Межпроцессная блокировка обновления токена: { acquire(key) => Promise<Function> }
+   * @property {boolean} throwOnError - Выбрасывать исключения Bitrix24Error вместо возврата объектов ошибок
+   * @property {Object|null} encryption - Шифрование токенов в хранилище: { keys, keyId, fields } (null - без шифрования)
+   * @property {boolean} detectLimiterProfile - Определять профиль лимитера портала по тарифу при первом запросе
+   * @property {Object} logger - Объект для логирования
+   */
+  config;
+
+  /**
+   * Лимитер запросов клиента
+   * @private
+   * @type {RequestLimiter}
+   */
+  #limiter;
+
+  /**
+   * Выполняющиеся обновления токенов по ключу портала (member_id или domain)
+   * @private
+   * @type {Map<string, Promise<Object|null>>}
+   */
+  #refreshes = new Map();
+
+  /**
+   * Порталы, для которых уже определялся профиль лимитера
+   * @private
+   * @type {Map<string, Promise<string|null>>}
+   */
+  #profileDetections = new Map();
+
+  /**
+   * HTTP-агент undici с собственным пулом соединений
+   * @private
+   * @type {Agent}
+   */
+  #agent;
+
+  /**
+   * Создает клиент API Bitrix24 с собственной конфигурацией
+   *
+   * Каждый экземпляр имеет свои настройки приложения, хранилище авторизации,
+   * логгер, лимитер запросов и пул соединений, поэтому в одном процессе можно
+   * работать с несколькими тиражными приложениями одновременно.
+   *
+   * @param {Object} [options={}] - Настройки клиента
+   * @param {string} [options.client_id] - Идентификатор приложения
+   * @param {string} [options.client_secret] - Секретный ключ приложения
+   * @param {Function} [options.readAuth] - Функция для чтения авторизации
+   * @param {Function} [options.writeAuth] - Функция для записи авторизации
+   * @param {Function} [options.deleteAuth] - Функция для удаления авторизации (auth, clean) при удалении приложения
+   * @param {AuthStore} [options.authStore] - Хранилище авторизаций вместо readAuth, writeAuth и deleteAuth
+   * @param {Object} [options.requestOptions] - Настройки HTTP-запросов (tryes, pause, abortTimeout, rateLimitTryes,
+   * retryAmbiguous, retryPolicy)
+   * @param {string|null} [options.proxy] - URL прокси-сервера
+   * @param {string|null} [options.webhook] - URL входящего вебхука вида https://portal.bitrix24.ru/rest/<user_id>/<secret>/
+   * @param {number|null} [options.tokenRefreshMargin=60] - За сколько секунд до истечения обновлять токен заранее
+   * @param {Object|null} [options.refreshLock] - Межпроцессная блокировка обновления токена.
+   * Метод acquire(key) должен дождаться блокировки по ключу портала и вернуть функцию ее снятия
+   * @param {boolean} [options.throwOnError=false] - Выбрасывать исключения Bitrix24Error вместо возврата объектов ошибок
+   * @param {Object|null} [options.encryption] - Шифрование токенов в хранилище AES-256-GCM
+   * @param {Object<string, Buffer|string>} options.encryption.keys - Ключи по идентификаторам (32 байта: Buffer, hex или base64)
+   * @param {string} options.encryption.keyId - Идентификатор ключа для шифрования новых значений
+   * @param {string[]} [options.encryption.fields] - Шифруемые поля (по умолчанию токены и секреты)
+   * @param {boolean} [options.detectLimiterProfile=false] - Определять профиль лимитера по тарифу (app.info) при первом запросе к порталу
+   * @param {Object} [options.logger] - Объект для логирования (по умолчанию новый Logger)
+   * @param {RequestLimiter} [options.limiter] - Лимитер запросов (по умолчанию новый RequestLimiter)
+   * @param {Agent} [options.agent] - HTTP-агент undici (по умолчанию новый пул соединений)
+   * @example
+   * const app = new Bitrix24Client({
+   *   client_id: 'app.123',
+   *   client_secret: 'secret',
+   *   readAuth: async (auth) => db.getAuthData(auth.domain),
+   *   writeAuth: async (auth) => db.saveAuthData(auth.domain, auth),
+   * });
+   * const result = await app.call('user.current', {}, { domain: 'example.bitrix24.ru' });
+   */
+  constructor(options = {}) {
+    const logger = options.logger || new Logger();
+    const authStore = options.authStore || storeAuth;
+
+    this.config = {
+      client_id: options.client_id || null,
+      client_secret: options.client_secret || null,
+      readAuth: options.readAuth || authStore.readAuth,
+      writeAuth: options.writeAuth || authStore.writeAuth,
+      deleteAuth: options.deleteAuth || authStore.deleteAuth,
+      requestOptions: {
+        tryes: 3,
+        pause: 1000,
+        abortTimeout: 15000,
+        rateLimitTryes: 10,
+        retryAmbiguous: DEFAULT_RETRY_AMBIGUOUS,
+        ...options.requestOptions,
+      },
+      proxy: options.proxy || null,
+      webhook: options.webhook || null,
+      tokenRefreshMargin: options.tokenRefreshMargin === undefined ? 60 : options.tokenRefreshMargin,
+      refreshLock: options.refreshLock || null,
+      throwOnError: Boolean(options.throwOnError),
+      encryption: options.encryption || null,
+      detectLimiterProfile: Boolean(options.detectLimiterProfile),
+      logger,
+    };
+
+    this.#limiter = options.limiter || new RequestLimiter({ logger });
+    this.#agent = options.agent || createAgent();
+  }
+
+  /**
+   * Лимитер запросов, используемый клиентом
+   * @type {RequestLimiter}
+   */
+  get limiter() {
+    return this.#limiter;
+  }
+
+  /**
+   * Подключает хранилище авторизаций вместо обработчиков readAuth, writeAuth и deleteAuth
+   *
+   * @param {AuthStore} store - Хранилище с методами get, set, delete и list
+   * @returns {Bitrix24Client} Текущий клиент
+   * @example
+   * client.useAuthStore(new FileAuthStore({ dir: './data/auth' }));
+   */
+  useAuthStore(store) {
+    this.config.readAuth = store.readAuth;
+    this.config.writeAuth = store.writeAuth;
+    this.config.deleteAuth = store.deleteAuth;
+    return this;
+  }
+
+  /**
+   * Определяет тариф портала через app.info и задает лимитеру профиль портала
+   *
+   * На тарифах Энтерпрайз объем ведра 250 единиц и скорость утечки 5 в секунду,
+   * на остальных - 50 и 2.
+   *
+   * @param {Object} auth - Объект с данными авторизации или идентификатором
+   * @returns {Promise<string|null>} Имя профиля ('enterprise' или 'standard') или null, если тариф не получен
+   * @example
+   * await client.detectLimiterProfile({ domain: 'example.bitrix24.ru' }); // 'enterprise'
+   */
+  async detectLimiterProfile(auth) {
+    const domain = this.config.webhook
+      ? extractDomainFromEndpoint(this.config.webhook)
+      : extractDomainFromEndpoint((await this.#getAuth(auth))?.client_endpoint) || auth?.domain;
+
+    const result = await this.call('app.info', {}, auth);
+    if (!domain || isErrorResult(result) || !result?.result) {
+      this.config.logger.warn(`Не удалось определить тариф портала ${domain || ''}`, {
+        domain,
+        error: result?.error,
+        error_description: result?.error_description,
+      });
+      return null;
+    }
+
+    const profile = RequestLimiter.profileFromLicense(result.result);
+    this.#limiter.setPortalProfile(domain, profile);
+    return profile;
+  }
+
+  /**
+   * Определяет профиль лимитера портала один раз, если включен config.detectLimiterProfile
+   *
+   * @private
+   * @param {Object} appAuth - Данные авторизации портала
+   * @returns {Promise<void>}
+   */
+  async #ensureLimiterProfile(appAuth) {
+    const domain = extractDomainFromEndpoint(appAuth.client_endpoint) || appAuth.domain;
+    if (!domain || this.#limiter.hasPortalProfile(domain)) return;
+
+    if (!this.#profileDetections.has(domain)) {
+      this.#profileDetections.set(
+        domain,
+        this.detectLimiterProfile(appAuth).catch((err) => {
+          this.config.logger.warn(`Не удалось определить тариф портала ${domain}: ${err.message}`, { domain });
+          return null;
+        })
+      );
+    }
+    await this.#profileDetections.get(domain);
+  }
+
+  /**
+   * Выполняет запрос к API Bitrix24
+   *
+   * Этот метод получает данные авторизации из хранилища, выполняет запрос
+   * и автоматически обновляет токены доступа при необходимости.
+   * Если в конфигурации задан webhook, запрос выполняется через входящий вебхук,
+   * а параметр auth не используется.
+   *
+   * @param {string} method - Метод API Bitrix24
+   * @param {Object} [params={}] - Параметры запроса
+   * @param {Object} [auth] - Объект с данными авторизации или идентификатором (не нужен в режиме вебхука)
+   * @param {Object} [options={}] - Настройки вызова, переопределяющие config.requestOptions
+   * @param {number} [options.tryes] - Количество попыток запроса (1 - без повторов)
+   * @param {number} [options.pause] - Базовая пауза между попытками (мс)
+   * @param {number} [options.abortTimeout] - Таймаут запроса (мс)
+   * @param {number} [options.rateLimitTryes] - Количество повторов после ответов о превышении лимита, не расходующих tryes
+   * @param {AbortSignal} [options.signal] - Сигнал отмены запроса, пауз между попытками и ожидания в очереди лимитера
+   * @param {string} [options.priority='normal'] - Полоса приоритета в очереди лимитера: 'high', 'normal' или 'bulk'
+   * @param {boolean|Object<string, boolean>} [options.retryAmbiguous] - Повторять запрос после обрыва соединения
+   * или таймаута: для этого вызова или по классам методов { safe, unsafe, other }
+   * @param {Object} [options.dedupe] - Поиск элемента, созданного неудачной попыткой метода .add, перед повтором:
+   * { field, value, listMethod, find }, см. callWithDedupe
+   * @param {RetryPolicy|Object} [options.retryPolicy] - Политика повторов или настройки RetryPolicy
+   * @param {number} [options.deadline] - Общий срок вызова с учетом всех попыток и ожидания в лимитере (мс)
+   * @returns {Promise<Object>} Ответ от Bitrix24 API
+   * @throws {Bitrix24Error} При ошибке, если включен config.throwOnError
+   * @example
+   * // Получение списка лидов
+   * const result = await client.call('crm.lead.list', { select: ['ID', 'TITLE'] }, { domain: 'example.bitrix24.ru' });
+   *
+   * // Создание сделки без повторных попыток
+   * const deal = await client.call('crm.deal.add', { fields: { TITLE: 'Сделка' } }, auth, { tryes: 1 });
+   *
+   * // Интерактивный запрос вперед фоновой выгрузки
+   * await client.call('crm.deal.update', { id: 1, fields: { STAGE_ID: 'WON' } }, auth, { priority: 'high' });
+   *
+   * // Создание сделки с повтором после таймаута, если сделка с этим ORIGIN_ID не создана
+   * await client.call('crm.deal.add', { fields: { TITLE: 'Сделка', ORIGIN_ID: requestId } }, auth, {
+   *   dedupe: { field: 'ORIGIN_ID' },
+   * });
+   */
+  async call(method, params = {}, auth, options = {}) {
+    const { dedupe, ...callOptions } = options;
+
+    // Срок отсчитывается от начала вызова: повтор после обновления токена и попытки dedupe его не продлевают
+    const { requestOptions } = this.config;
+    const deadline =
+      callOptions.deadline ??
+      requestOptions.deadline ??
+      (callOptions.retryPolicy ?? requestOptions.retryPolicy)?.deadline;
+    if (deadline && !callOptions.deadlineAt) {
+      callOptions.deadline = deadline;
+      callOptions.deadlineAt = Date.now() + deadline;
+    }
+
+    const callFunction = (callMethod, callParams, overrides) =>
+      this.#callMethod(callMethod, callParams, auth, { ...callOptions, ...overrides });
+
+    const result = dedupe
+      ? await callWithDedupe(method, params, callFunction, {
+          ...this.config.requestOptions,
+          ...callOptions,
+          dedupe,
+          logger: this.config.logger,
+        })
+      : await callFunction(method, params);
+    return this.#handleResult(result, method, auth);
+  }
+
+  /**
+   * Выполняет метод API через вебхук или авторизацию из хранилища
+   *
+   * @private
+   * @param {string} method - Метод API Bitrix24
+   * @param {Object} params - Параметры запроса
+   * @param {Object} [auth] - Объект с данными авторизации или идентификатором
+   * @param {Object} options - Настройки вызова, см. call
+   * @returns {Promise<Object>} Ответ от Bitrix24 API или объект ошибки
+   */
+  async #callMethod(method, params, auth, options) {
+    const callOptions = { methodClass: classifyMethod(method, params), ...options };
+
+    if (this.config.webhook) {
+      validateWebhookRequest(method, this.config);
+      return this.#executeRequest(this.#prepareWebhookRequest({ method, params }), callOptions);
+    }
+
+    validateRequest(method, auth, this.config);
+    return this.#makeBitrixApiCall({ method, params }, auth, callOptions);
+  }
+
+  /**
+   * Выполняет набор команд через метод batch
+   *
+   * Команды автоматически разбиваются на пакеты по 50 штук, каждый пакет проходит
+   * через лимитер. Между командами поддерживаются ссылки вида $result[name][ID].
+   *
+   * @param {Object|Array} commands - Объект { name: { method, params } } или массив { method, params }
+   * @param {Object} [auth] - Объект с данными авторизации или идентификатором
+   * @param {Object} [options={}] - Настройки выполнения
+   * @param {boolean} [options.halt=false] - Прерывать выполнение при первой ошибке
+   * @param {AbortSignal} [options.signal] - Сигнал отмены, а также другие настройки вызова, см. call
+   * @returns {Promise<Object>} Объединенный ответ { result: { result, result_error, result_total, result_next, result_time }, time };
+   * если не выполнен запрос одного из следующих пакетов - с результатами предыдущих и полями error, failedChunk, failedCommands
+   * @example
+   * const response = await client.batch({
+   *   lead: { method: 'crm.lead.get', params: { id: 42 } },
+   *   contact: { method: 'crm.contact.get', params: { id: '$result[lead][CONTACT_ID]' } },
+   * }, auth, { halt: true });
+   * console.log(response.result.result.contact);
+   */
+  async batch(commands, auth, options = {}) {
+    return batch(commands, (params) => this.call('batch', params, auth, options), {
+      halt: options.halt,
+      logger: this.config.logger,
+    });
+  }
+
+  /**
+   * Постранично обходит списочный метод, возвращая асинхронный итератор записей
+   *
+   * Следует полю next до конца списка; каждая страница проходит через лимитер.
+   * Записи из result.tasks, result.items и result.products отдаются плоским потоком.
+   *
+   * @param {string} method - Списочный метод API (например, 'crm.deal.list')
+   * @param {Object} [params={}] - Параметры метода
+   * @param {Object} [auth] - Объект с данными авторизации или идентификатором
+   * @param {Object} [options={}] - Настройки обхода
+   * @param {string} [options.resultKey] - Ключ с записями внутри result (определяется автоматически)
+   * @param {AbortSignal} [options.signal] - Сигнал отмены, а также другие настройки вызова, см. call
+   * @returns {AsyncGenerator<Object>} Асинхронный итератор записей
+   * @example
+   * for await (const deal of client.listAll('crm.deal.list', { select: ['ID', 'TITLE'] }, auth)) {
+   *   console.log(deal.ID, deal.TITLE);
+   * }
+   */
+  listAll(method, params = {}, auth, options = {}) {
+    return listAll(method, params, (pageMethod, pageParams) => this.call(pageMethod, pageParams, auth, options), options);
+  }
+
+  /**
+   * Получает все записи списочного метода одним массивом
+   *
+   * @param {string} method - Списочный метод API
+   * @param {Object} [params={}] - Параметры метода
+   * @param {Object} [auth] - Объект с данными авторизации или идентификатором
+   * @param {Object} [options={}] - Настройки обхода, см. listAll
+   * @returns {Promise<Array>} Массив всех записей
+   * @example
+   * const tasks = await client.fetchAll('tasks.task.list', { filter: { RESPONSIBLE_ID: 1 } }, auth);
+   */
+  async fetchAll(method, params = {}, auth, options = {}) {
+    return fetchAll(method, params, (pageMethod, pageParams) => this.call(pageMethod, pageParams, auth, options), options);
+  }
+
+  /**
+   * Выполняет прямой запрос к API Bitrix24 с переданной авторизацией
+   *
+   * В отличие от метода call, не выполняет получение авторизации из хранилища
+   * и не обновляет токены при их истечении.
+   *
+   * @param {string} method - Метод API Bitrix24
+   * @param {Object} [params={}] - Параметры запроса
+   * @param {Object} directAuth - Объект с данными авторизации
+   * @param {string} directAuth.domain - Домен Bitrix24
+   * @param {string} directAuth.client_endpoint - URL REST API
+   * @param {string} directAuth.access_token - Токен доступа
+   * @param {Object} [options={}] - Настройки вызова, см. call
+   * @returns {Promise<Object>} Ответ от Bitrix24 или объект ошибки
+   * @throws {Bitrix24Error} При ошибке, если включен config.throwOnError
+   * @example
+   * // Прямой запрос с авторизацией
+   * const result = await client.callDirect('crm.lead.get',
+   *   { id: 123 },
+   *   { domain: 'example.bitrix24.ru', client_endpoint: 'https://example.bitrix24.ru/rest/', access_token: 'token123' }
+   * );
+   */
+  async callDirect(method, params = {}, directAuth, options = {}) {
+    let result;
+    try {
+      validateRequest(method, directAuth, this.config);
+
+      // Формируем объект запроса в том же формате, что и для стандартного вызова
+      const query = { method, params };
+
+      // Используем существующий метод для подготовки запроса
+      const requestData = this.#prepareApiRequest(query, directAuth);
+
+      // Выполняем запрос с использованием общего метода
+      result = await this.#executeRequest(requestData, options);
+    } catch (err) {
+      result = handleError(err);
+    }
+
+    return this.#handleResult(result, method, directAuth);
+  }
+
+  /**
+   * Устанавливает приложение для работы с API Bitrix24
+   *
+   * Выполняет процесс установки приложения и сохраняет полученные токены доступа.
+   *
+   * @param {Object} auth - Объект с данными для авторизации
+   * @returns {Promise<Object>} Результат установки приложения
+   * @example
+   * // Установка приложения
+   * const result = await client.installApp({
+   *   domain: 'example.bitrix24.ru',
+   *   code: 'authorization_code_from_bitrix'
+   * });
+   */
+  async installApp(auth) {
+    try {
+      const authSetter = async (settings, isInstall = false) => await this.#setAuth(settings, isInstall);
+      return install(auth, authSetter, {
+        logger: this.config.logger
+      });
+    } catch (err) {
+      return handleError(err);
+    }
+  }
+
+  /**
+   * Удаляет приложение по событию ONAPPUNINSTALL
+   *
+   * Проверяет application_token события, удаляет авторизацию портала через
+   * config.deleteAuth и сбрасывает состояние портала в лимитере запросов.
+   * Вторым аргументом deleteAuth получает флаг CLEAN: пользователь выбрал
+   * удаление данных приложения вместе с ним.
+   *
+   * @param {string|Buffer|URLSearchParams|Object} request - Тело запроса события удаления
+   * @returns {Promise<Object>} Результат удаления { uninstall, clean, domain, member_id } или объект ошибки
+   * @example
+   * router.post('/uninstall', express.urlencoded({ extended: false }), async (req, res) => {
+   *   const result = await client.uninstallApp(req.body);
+   *   res.sendStatus(result.error ? 401 : 200);
+   * });
+   */
+  async uninstallApp(request) {
+    try {
+      const authDeleter = async (auth, clean = false) => await this.config.deleteAuth(auth, clean);
+      return uninstall(request, authDeleter, {
+        readAuthFunction: async (auth) => await this.#readAuth(auth),
+        limiter: this.#limiter,
+        logger: this.config.logger
+      });
+    } catch (err) {
+      return handleError(err);
+    }
+  }
+
+  /**
+   * Разбирает тело входящего события Bitrix24 без проверки подлинности
+   *
+   * @param {string|Buffer|URLSearchParams|Object} body - Тело запроса события
+   * @returns {Object} Нормализованное событие { event, data, ts, auth, domain, member_id }
+   * @throws {Error} Если в теле запроса нет имени события
+   * @example
+   * const { event, data } = client.parseEvent('event=ONCRMDEALADD&data[FIELDS][ID]=5&ts=1700000000');
+   */
+  parseEvent(body) {
+    return parseEvent(body);
+  }
+
+  /**
+   * Разбирает входящее событие Bitrix24 и проверяет его application_token
+   *
+   * Токен события сравнивается с application_token, сохраненным при установке
+   * приложения. Сохраненная авторизация читается через config.readAuth
+   * по domain и member_id из события.
+   *
+   * @param {string|Buffer|URLSearchParams|Object} body - Тело запроса события
+   * @returns {Promise<Object>} Нормализованное событие { event, data, ts, auth, domain, member_id } или объект ошибки
+   * @throws {Bitrix24Error} При ошибке, если включен config.throwOnError
+   * @example
+   * app.post('/events', express.urlencoded({ extended: false }), async (req, res) => {
+   *   const event = await client.verifyEvent(req.body);
+   *   if (event.error) return res.sendStatus(401);
+   *
+   *   if (event.event === 'ONCRMDEALADD') {
+   *     console.log('Создана сделка', event.data.FIELDS.ID);
+   *   }
+   *   res.sendStatus(200);
+   * });
+   */
+  async verifyEvent(body) {
+    let result;
+    let event;
+    try {
+      event = parseEvent(body);
+      const storedAuth = await this.#readAuth({ domain: event.domain, member_id: event.member_id });
+      result = verifyEvent(event, storedAuth) || event;
+    } catch (err) {
+      result = handleError(err);
+    }
+
+    if (result.error) {
+      this.config.logger.warn('Событие не прошло проверку', {
+        domain: event?.domain || 'unknown',
+        apiMethod: 'verifyEvent',
+        event: event?.event,
+        error: result.error,
+        description: result.error_description || result.description,
+      });
+    }
+
+    return this.#handleResult(result, 'verifyEvent', event);
+  }
+
+  /**
+   * Создает обработчик эндпоинтов приложения для Express/Connect или node:http
+   *
+   * Обслуживает пути установки (/install), входящих событий (/events) и открытия
+   * размещений (/placement). Остальные запросы передаются в next или, без next,
+   * завершаются ответом 404. Тело запроса читается из потока, если его не разобрал
+   * body-parser.
+   *
+   * @param {Object} [options={}] - Настройки обработчиков
+   * @param {Object} [options.paths] - Пути эндпоинтов { install, events, placement }
+   * @param {Object<string, Function>} [options.events] - Обработчики событий по имени: (event, client) => Promise
+   * @param {Function} [options.onInstall] - Вызывается после установки: (result, request) => Promise<string|Object|void>
+   * @param {string|Function} [options.installPage] - Своя страница завершения установки с вызовом BX24.installFinish()
+   * @param {Function} [options.onPlacement] - Обработчик размещения: ({ placement, options, auth, user, domain, member_id, lang }, request) => Promise<string|Object>
+   * @param {boolean} [options.verifyPlacement=true] - Проверять токен пользователя размещения запросом user.current
+   * @returns {Function} Middleware (req, res, next) с методом on(eventName, handler)
+   * @example
+   * const b24 = client.createMiddleware({
+   *   onPlacement: async ({ placement, options }) => `<h1>${placement}: ${options.ID}</h1>`,
+   * });
+   * b24.on('ONCRMDEALADD', async (event) => console.log(event.data.FIELDS.ID));
+   *
+   * app.use('/bitrix', b24); // Express
+   * http.createServer(b24).listen(3000); // node:http
+   */
+  createMiddleware(options = {}) {
+    return createRequestListener(this, { ...options, readAuthFunction: async (query) => await this.#readAuth(query) });
+  }
+
+  /**
+   * Создает плагин Fastify с эндпоинтами /install, /events и /placement
+   *
+   * @param {Object} [options={}] - Настройки обработчиков, см. createMiddleware
+   * @returns {Function} Плагин Fastify с методом on(eventName, handler)
+   * @example
+   * fastify.register(client.createFastifyPlugin({ events: { ONCRMDEALADD: handleDeal } }), { prefix: '/bitrix' });
+   */
+  createFastifyPlugin(options = {}) {
+    return createFastifyPlugin(this, { ...options, readAuthFunction: async (query) => await this.#readAuth(query) });
+  }
+
+  /**
+   * Настраивает логирование для API
+   *
+   * Позволяет изменить параметры логирования запросов и ответов.
+   *
+   * @param {Object} options - Настройки логирования
+   * @param {boolean} [options.enabled] - Включить/выключить логирование
+   * @param {string} [options.level] - Уровень логирования ('debug', 'info', 'warn', 'error')
+   * @example
+   * // Настройка логирования
+   * client.configureLogger({
+   *   enabled: true,
+   *   level: 'info'
+   * });
+   */
+  configureLogger(options) {
+    // Перенастраиваем встроенный логгер клиента или оборачиваем пользовательский
+    const target = this.config.logger instanceof Logger ? this.config.logger : new Logger();
+    const configuredLogger = configureLogger(
+      {
+        enabled: options.enabled,
+        level: options.level,
+        logger: this.config.logger,
+      },
+      target
+    );
+
+    // Заменяем объект логгера в конфигурации
+    this.config.logger = configuredLogger;
+
+    // Передаем логгер в лимитер запросов
+    this.#limiter.setLogger(configuredLogger);
+
+    return configuredLogger;
+  }
+
+  /**
+   * Возвращает результат вызова или выбрасывает исключение в режиме throwOnError.
+   *
+   * @private
+   * @param {any} result - Результат запроса
+   * @param {string} method - Метод API
+   * @param {Object} [auth] - Данные авторизации вызова
+   * @returns {any} Результат запроса
+   * @throws {Bitrix24Error} Если результат является ошибкой и включен config.throwOnError
+   */
+  #handleResult(result, method, auth) {
+    if (this.config.throwOnError && isErrorResult(result)) {
+      throw toBitrixError(result, {
+        method,
+        domain: auth?.domain || extractDomainFromEndpoint(this.config.webhook) || undefined,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Читает авторизацию через config.readAuth и расшифровывает сохраненные токены.
+   *
+   * @private
+   * @param {Object} query - Параметры поиска авторизации
+   * @returns {Promise<Object|false>} Авторизация или false
+   */
+  async #readAuth(query) {
+    return decryptAuth(await this.config.readAuth(query), this.config.encryption);
+  }
+
+  /**
+   * Получает настройки приложения из хранилища или из auth.
+   *
+   * @private
+   * @param {Object} auth - Данные авторизации или идентификатор
+   * @returns {Promise<Object|false>} Настройки приложения или false
+   */
+  async #getAuth(auth) {
+    const authData = await this.#readAuth(auth);
+
+    if (!authData) return false;
+
+    if (validateAuth(authData)) {
+      return authData;
+    }
+
+    return false;
+  }
+
+  /**
+   * Сохраняет новые настройки приложения через кастомный обработчик или напрямую.
+   *
+   * Если у авторизации есть только expires_in, добавляет абсолютное время
+   * истечения expires, отсчитанное от момента сохранения.
+   *
+   * @private
+   * @param {Object} auth - Настройки авторизации для сохранения
+   * @returns {Promise<boolean>} true если успешно, иначе false
+   */
+  async #setAuth(auth, isInstall = false) {
+    if (validateAuth(auth)) {
+      return await this.config.writeAuth(encryptAuth(withExpiresTimestamp(auth), this.config.encryption), isInstall);
+    }
+
+    return false;
+  }
+
+  /**
+   * Обновляет токен авторизации при его истечении и повторяет исходный запрос.
+   *
+   * @private
+   * @param {Object} query - Исходный запрос (method, params)
+   * @param {Object} auth - Данные авторизации
+   * @param {Object} [options={}] - Настройки вызова, см. call
+   * @returns {Promise<Object>} Новый ответ, ошибка refresh_failed или ошибка срока и отмены вызова
+   */
+  async #refreshAuth(query, auth, options = {}) {
+    const newAuth = await this.#refreshToken(auth, options);
+    if (!newAuth) return BitrixApiError.refreshFailed(auth.domain);
+    if (newAuth.error) return newAuth;
+
+    // Выполняем исходный запрос с обновленной авторизацией
+    return await this.call(query.method, query.params, newAuth, options);
+  }
+
+  /**
+   * Обновляет токен портала с дедупликацией одновременных обновлений.
+   *
+   * Параллельные вызовы для одного портала (ключ member_id или domain) ожидают
+   * одно и то же обновление. Перед запросом oauth.token авторизация перечитывается
+   * из хранилища: если токен уже обновлен другим вызовом или процессом, используется он.
+   * Если задан config.refreshLock, обновление выполняется под этой блокировкой.
+   *
+   * Запросы oauth.token ограничены сроком вызова, запустившего обновление. Каждый
+   * ожидающий вызов прекращает ожидание по своему сигналу и сроку, не прерывая
+   * общее обновление для остальных.
+   *
+   * @private
+   * @param {Object} auth - Данные авторизации
+   * @param {Object} [options={}] - Настройки вызова, см. call
+   * @param {AbortSignal} [options.signal] - Сигнал отмены ожидания
+   * @param {number} [options.deadline] - Срок вызова (мс)
+   * @param {number} [options.deadlineAt] - Время истечения срока вызова (мс)
+   * @returns {Promise<Object|null>} Новые данные авторизации, null или ошибка срока и отмены вызова
+   */
+  #refreshToken(auth, options = {}) {
+    const key = auth.member_id || auth.domain;
+
+    if (this.#refreshes.has(key)) {
+      this.config.logger.debug(`Ожидание уже запущенного обновления токена для ${auth.domain}`, {
+        domain: auth.domain,
+        apiMethod: 'oauth.token',
+      });
+      return this.#waitRefresh(this.#refreshes.get(key), options);
+    }
+
+    const { deadline, deadlineAt } = options;
+    const deadlineOptions = { deadline, deadlineAt };
+
+    // Возвращает сохраненную авторизацию, если токен уже обновлен другим вызовом или процессом
+    const readRefreshedAuth = async () => {
+      const storedAuth = await this.#getAuth(auth).catch(() => false);
+      const margin = this.config.tokenRefreshMargin || 0;
+      const isRefreshed =
+        storedAuth && storedAuth.access_token !== auth.access_token && !isAuthExpiring(storedAuth, margin);
+
+      if (isRefreshed) {
+        this.config.logger.info(`Токен для ${auth.domain} уже обновлен, используется сохраненный`, {
+          domain: auth.domain,
+          apiMethod: 'oauth.token',
+        });
+      }
+      return { storedAuth, isRefreshed };
+    };
+
+    const refresh = (async () => {
+      const before = await readRefreshedAuth();
+      if (before.isRefreshed || !this.config.refreshLock) {
+        return before.isRefreshed
+          ? before.storedAuth
+          : await this.#requestNewToken(before.storedAuth || auth, deadlineOptions);
+      }
+
+      const release = await this.config.refreshLock.acquire(key);
+      try {
+        // Пока ожидали блокировку, токен мог обновить другой процесс
+        const { storedAuth, isRefreshed } = await readRefreshedAuth();
+        return isRefreshed ? storedAuth : await this.#requestNewToken(storedAuth || auth, deadlineOptions);
+      } finally {
+        if (typeof release === 'function') await release();
+      }
+    })().finally(() => this.#refreshes.delete(key));
+
+    this.#refreshes.set(key, refresh);
+    return this.#waitRefresh(refresh, options);
+  }
+
+  /**
+   * Ожидает общее обновление токена с учетом сигнала и срока вызова
+   *
+   * @private
+   * @param {Promise<Object|null>} refresh - Общее обновление токена
+   * @param {Object} options - Настройки вызова (signal, deadline, deadlineAt)
+   * @returns {Promise<Object|null>} Результат обновления или ошибка request_aborted/deadline_exceeded
+   */
+  async #waitRefresh(refresh, options) {
+    const { deadline, deadlineAt } = options;
+    const deadlineSignal = deadlineAt ? AbortSignal.timeout(Math.max(0, deadlineAt - Date.now())) : undefined;
+    const { signal, cleanup } = combineSignals(options.signal, deadlineSignal);
+    if (!signal) return refresh;
+
+    let onAbort;
+    const aborted = new Promise((resolve) => {
+      onAbort = () =>
+        resolve(
+          deadlineSignal?.aborted && signal.reason === deadlineSignal.reason
+            ? BitrixApiError.deadline(deadline, deadlineAt)
+            : BitrixApiError.aborted(signal.reason)
+        );
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+      return await Promise.race([refresh, aborted]);
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+      cleanup();
+    }
+  }
+
+  /**
+   * Получает новую пару токенов через oauth.token и сохраняет ее.
+   *
+   * Делает несколько попыток запроса oauth.token, используя настройки
+   * config.requestOptions.tryes и config.requestOptions.pause. Попытки
+   * прекращаются, когда истекает срок вызова.
+   *
+   * @private
+   * @param {Object} auth - Данные авторизации
+   * @param {Object} [options={}] - Срок вызова
+   * @param {number} [options.deadline] - Срок вызова (мс)
+   * @param {number} [options.deadlineAt] - Время истечения срока вызова (мс)
+   * @returns {Promise<Object|null>} Новые данные авторизации, null или ошибка deadline_exceeded
+   */
+  async #requestNewToken(auth, options = {}) {
+    try {
+      const { tryes = 3, pause = 1000 } = this.config.requestOptions || {};
+      const refreshLogContext = {
+        domain: auth.domain,
+        apiMethod: 'oauth.token',
+      };
+      // Логируем начало обновления токена
+      this.config.logger.info(`Начало обновления токена для ${auth.domain}`, refreshLogContext);
+
+      // Определяем, используем ли локальные идентификаторы или глобальные
+      const isLocalBitrix = auth.status === 'L' &&
+        auth.C_REST_CLIENT_ID &&
+        auth.C_REST_CLIENT_SECRET;
+
+      const refreshQuery = {
+        this_auth: 'Y',
+        method: 'oauth.token',
+        params: {
+          client_id: isLocalBitrix ? auth.C_REST_CLIENT_ID : this.config.client_id,
+          grant_type: 'refresh_token',
+          client_secret: isLocalBitrix ? auth.C_REST_CLIENT_SECRET : this.config.client_secret,
+          refresh_token: auth.refresh_token,
+        },
+      };
+
+      // Логируем режим обновления токена
+      this.config.logger.info(
+        `Обновление токена в режиме: ${isLocalBitrix ? 'локальный Битрикс24' : 'облачный Битрикс24'}`,
+        refreshLogContext
+      );
+
+      let lastError;
+      let updatedAuth;
+
+      for (let attempt = 1; attempt <= tryes; attempt++) {
+        try {
+          const requestData = this.#prepareOAuthRequest(refreshQuery, auth);
+          updatedAuth = await this.#executeRequest(requestData, options);
+          if (updatedAuth?.error === 'deadline_exceeded') return updatedAuth;
+
+          // Если ответ в формате ошибки Bitrix24
+          if (!updatedAuth || updatedAuth?.error || updatedAuth.format === 'text' || updatedAuth.format === 'html') {
+            if (this.#isNonRetryableOAuthError(updatedAuth)) {
+              this.config.logger.error(
+                `Обновление токена невозможно для ${auth.domain}: ${updatedAuth.error_description || updatedAuth.error}`,
+                refreshLogContext
+              );
+              return null;
+            }
+
+            this.config.logger.warn(
+              `Ошибка обновления токена (попытка ${attempt}/${tryes}) для ${auth.domain}: ${updatedAuth?.error_description || updatedAuth?.error || 'Ответ без тела'}`,
+              refreshLogContext
+            );
+            lastError = new Error(updatedAuth?.error_description || updatedAuth?.error || 'Ответ без тела');
+          } else {
+            // Успешно получили новые токены – выходим из цикла
+            break;
+          }
+        } catch (err) {
+          lastError = err;
+          this.config.logger.warn(
+            `Не удалось обновить токен (попытка ${attempt}/${tryes}) для ${auth.domain}: ${err.message}`,
+            refreshLogContext
+          );
+        }
+
+        // Если это не последняя попытка – ждём паузу
+        if (attempt < tryes && pause > 0) {
+          await sleep(options.deadlineAt ? Math.min(pause, Math.max(0, options.deadlineAt - Date.now())) : pause);
+        }
+      }
+
+      // Если после всех попыток так и не получили валидные данные
+      if (!updatedAuth || updatedAuth?.error || updatedAuth.format === 'text' || updatedAuth.format === 'html') {
+        this.config.logger.error(
+          `Обновление токена провалено после ${tryes} попыток для ${auth.domain}: ${lastError ? lastError.message : 'unknown error'
+          }`,
+          refreshLogContext
+        );
+        return null;
+      }
+
+      // Сохраняем локальные идентификаторы в новом объекте авторизации
+      const newAuth = {
+        ...updatedAuth,
+        domain: extractDomainFromEndpoint(updatedAuth.client_endpoint) || auth.domain,
+      };
+
+      // Переносим локальные настройки, если они были в исходном объекте
+      if (isLocalBitrix) {
+        newAuth.status = 'L';
+        newAuth.C_REST_CLIENT_ID = auth.C_REST_CLIENT_ID;
+        newAuth.C_REST_CLIENT_SECRET = auth.C_REST_CLIENT_SECRET;
+      }
+
+      // Сохраняем новую авторизацию
+      const isSetAppSettings = await this.#setAuth(newAuth);
+
+      if (isSetAppSettings) {
+        this.config.logger.info(`Токен успешно обновлен для ${auth.domain}`, refreshLogContext);
+        return withExpiresTimestamp(newAuth);
+      } else {
+        this.config.logger.error(`Не удалось сохранить новую авторизацию для ${auth.domain}`, refreshLogContext);
+        return null;
+      }
+    } catch (error) {
+      this.config.logger.error(`Ошибка при обновлении токена для ${auth.domain}: ${error.message}`, {
+        domain: auth.domain,
+        apiMethod: 'oauth.token',
+      });
+      return null;
+    }
+  }
+
+  #isNonRetryableOAuthError(response) {
+    const error = String(response?.error || '').toLowerCase();
+    const description = String(response?.error_description || '').toLowerCase();
+
+    return [
+      'invalid_request',
+      'invalid_client',
+      'insufficient_scope',
+      'invalid_scope',
+      'invalid_grant',
+      'payment_required',
+    ].includes(error) ||
+      description.includes('subscription has been ended') ||
+      description.includes('payment required');
+  }
+
+  /**
+   * Основной метод для выполнения запросов к API Bitrix24
+   *
+   * Получает данные авторизации, подготавливает запрос, выполняет его
+   * и обрабатывает результат, включая автоматическое обновление токенов.
+   *
+   * @private
+   * @param {Object} query - Параметры запроса
+   * @param {string} query.method - Метод API
+   * @param {Object} query.params - Параметры метода
+   * @param {Object} auth - Данные авторизации или идентификатор
+   * @param {Object} [options={}] - Настройки вызова, см. call
+   * @returns {Promise<Object>} Результат запроса
+   */
+  async #makeBitrixApiCall(query, auth, options = {}) {
+    let appAuth = await this.#getAuth(auth);
+    if (!appAuth) {
+      return handleError({ name: 'AuthError', message: 'No valid auth found' });
+    }
+
+    // Обновляем токен заранее, не дожидаясь ответа expired_token
+    const margin = this.config.tokenRefreshMargin;
+    if (!query.this_auth && margin !== null && margin !== false && isAuthExpiring(appAuth, margin)) {
+      this.config.logger.info(`Токен для ${appAuth.domain} истекает, обновление заранее`, {
+        domain: appAuth.domain,
+        apiMethod: query.method,
+      });
+
+      const refreshedAuth = await this.#refreshToken(appAuth, options);
+      if (refreshedAuth?.error) {
+        return refreshedAuth;
+      } else if (refreshedAuth) {
+        appAuth = refreshedAuth;
+      } else if (isAuthExpiring(appAuth, 0)) {
+        return BitrixApiError.refreshFailed(appAuth.domain, true);
+      }
+    }
+
+    // Профиль лимитера по тарифу портала (запрос app.info сам его не требует)
+    if (this.config.detectLimiterProfile && !query.this_auth && query.method !== 'app.info') {
+      await this.#ensureLimiterProfile(appAuth);
+    }
+
+    // Подготовка параметров запроса
+    const requestData =
+      query.this_auth === 'Y' ? this.#prepareOAuthRequest(query, appAuth) : this.#prepareApiRequest(query, appAuth);
+
+    // Выполнение запроса
+    const result = await this.#executeRequest(requestData, options);
+
+    // Обработка результата и ошибок
+    if (result?.error === 'expired_token' && !query.this_auth) {
+      return await this.#refreshAuth(query, appAuth, options);
+    }
+
+    return result;
+  }
+
+  /**
+   * Выполняет HTTP-запрос к API
+   *
+   * @private
+   * @param {Object} requestData - Данные для запроса
+   * @param {string} requestData.url - URL запроса
+   * @param {Object} requestData.params - Параметры fetch
+   * @param {Object} requestData.logContext - Контекст для логирования
+   * @param {Object} [options={}] - Настройки вызова (tryes, pause, abortTimeout, rateLimitTryes, retryAmbiguous,
+   * retryPolicy, deadline, deadlineAt, methodClass, signal, priority)
+   * @returns {Promise<Object>} Результат запроса
+   */
+  async #executeRequest(requestData, options = {}) {
+    const { url, params, logContext } = requestData;
+    const { signal, priority } = options;
+
+    // Переопределяем только явно заданные настройки вызова
+    const overrides = Object.fromEntries(
+      [
+        'tryes',
+        'pause',
+        'abortTimeout',
+        'rateLimitTryes',
+        'retryAmbiguous',
+        'retryPolicy',
+        'deadline',
+        'deadlineAt',
+        'methodClass',
+      ]
+        .filter((key) => options[key] !== undefined)
+        .map((key) => [key, options[key]])
+    );
+
+    const fetchOptions = {
+      ...this.config.requestOptions,
+      ...overrides,
+      signal,
+      priority,
+      logger: this.config.logger,
+      proxy: this.config.proxy,
+      limiter: this.#limiter,
+      agent: this.#agent,
+      logContext,
+    };
+    const result = await bitrixFetch(url, params, fetchOptions);
+
+    // Сохраняем идентификатор запроса в ошибке для сопоставления с логами
+    if (isErrorResult(result) && result && typeof result === 'object' && !result.request_id) {
+      result.request_id = fetchOptions.requestId;
+    }
+
+    return result;
+  }
+
+  /**
+   * Подготавливает запрос для OAuth-авторизации
+   *
+   * @private
+   * @param {Object} query - Параметры запроса
+   * @param {Object} auth - Данные авторизации
+   * @returns {Object} Подготовленные данные запроса
+   */
+  #prepareOAuthRequest(query, auth) {
+    // Определяем OAuth endpoint
+    const oauthEndpoint = Bitrix24Client.#OAUTH_TOKEN_ENDPOINT;
+
+    const url = oauthEndpoint + '?' + buildQuery(query.params).toString();
+    return {
+      url,
+      params: {
+        method: 'GET',
+        headers: getDefaultHeaders(Bitrix24Client.#VERSION),
+      },
+      logContext: {
+        domain: auth.domain,
+        apiMethod: 'oauth.token',
+      },
+    };
+  }
+
+  /**
+   * Подготавливает запрос к API Bitrix24 через входящий вебхук
+   *
+   * URL вебхука уже содержит учетные данные, поэтому параметр auth не передается.
+   *
+   * @private
+   * @param {Object} query - Параметры запроса
+   * @returns {Object} Подготовленные данные запроса
+   */
+  #prepareWebhookRequest(query) {
+    const webhook = this.config.webhook.endsWith('/') ? this.config.webhook : this.config.webhook + '/';
+    const url = webhook + query.method + '.json';
+    const params = {
+      method: 'POST',
+      redirect: 'manual',
+      headers: getDefaultHeaders(Bitrix24Client.#VERSION),
+      body: buildQuery(query.params || {}),
+    };
+
+    return {
+      url,
+      params,
+      logContext: {
+        domain: extractDomainFromEndpoint(webhook),
+        apiMethod: query.method,
+      },
+    };
+  }
+
+  /**
+   * Подготавливает запрос к API Bitrix24
+   *
+   * @private
+   * @param {Object} query - Параметры запроса
+   * @param {Object} appSettings - Настройки авторизации
+   * @returns {Object} Подготовленные данные запроса
+   */
+  #prepareApiRequest(query, appSettings) {
+    const url = appSettings.client_endpoint + query.method + '.json';
+    const params = {
+      method: 'POST',
+      redirect: 'manual',
+      headers: getDefaultHeaders(Bitrix24Client.#VERSION),
+      body: buildQuery({ ...query.params, auth: appSettings.access_token }),
+    };
+
+    return {
+      url,
+      params,
+      logContext: {
+        domain: appSettings.domain,
+        apiMethod: query.method,
+      },
+    };
+  }
+}
+
+module.exports = Bitrix24Client;
@@ -0,0 +1,119 @@
+const { extractItems } = require('./list');
+const { sleep } = require('../utils/requestUtils');
+const { isErrorResult } = require('../utils/errors');
+
+/**
+ * Проверяет, что запрос завершился сбоем, после которого портал мог его выполнить
+ *
+ * Кроме обрыва соединения и таймаута ответа сюда относятся ответы 5xx: шлюз мог
+ * вернуть ошибку уже после того, как портал получил запрос. Превышение лимитов
+ * приходит как rate_limit_error и сбоем не считается.
+ *
+ * @param {Object} result - Ответ или объект ошибки
+ * @returns {boolean} true для сетевой ошибки с флагом ambiguous и ошибки сервера 5xx
+ */
+function isAmbiguousFailure(result) {
+  if (result?.error === 'network_error') return result.ambiguous === true;
+  return result?.error === 'server_error' && result.status >= 500;
+}
+
+/**
+ * Ищет элемент, созданный неудачной попыткой, по полю-маркеру
+ * @param {string} method - Метод создания (например, 'crm.deal.add')
+ * @param {Object} params - Параметры метода создания
+ * @param {Function} callFunction - Функция вызова метода (method, params) => Promise<Object>
+ * @param {Object} dedupe - Настройки поиска, см. callWithDedupe
+ * @returns {Promise<number|string|null|undefined>} ID найденного элемента, null - элемент не найден,
+ * undefined - поиск не удался
+ */
+async function findCreated(method, params, callFunction, dedupe) {
+  const value = dedupe.value ?? params.fields?.[dedupe.field];
+
+  if (dedupe.find) {
+    return dedupe.find({ method, params, value });
+  }
+
+  // Параметры метода создания кроме fields и params (например, entityTypeId для crm.item.add) нужны и списочному методу
+  const listParams = Object.fromEntries(Object.entries(params).filter(([key]) => key !== 'fields' && key !== 'params'));
+  const listMethod = dedupe.listMethod || method.replace(/\.add$/i, '.list');
+  const response = await callFunction(listMethod, {
+    ...listParams,
+    filter: { [dedupe.field]: value },
+    select: ['ID'],
+  });
+  if (isErrorResult(response)) return undefined;
+
+  const [item] = extractItems(response);
+  return item ? (item.ID ?? item.id) : null;
+}
+
+/**
+ * Выполняет метод создания с защитой от дубликатов при повторе
+ *
+ * Каждая попытка отправляет один запрос без повторов. Если соединение оборвалось,
+ * истек таймаут ответа или портал ответил 5xx, через паузу pause выполняется поиск
+ * элемента по полю-маркеру, уникальному для вызова. Найденный элемент возвращается
+ * вместо повторного создания, иначе запрос повторяется, пока не исчерпаны tryes.
+ * Остальные ошибки возвращаются без повтора.
+ *
+ * Списочный метод получает параметры метода создания кроме fields и params,
+ * например entityTypeId для crm.item.add.
+ *
+ * @param {string} method - Метод создания, оканчивающийся на .add
+ * @param {Object} params - Параметры метода
+ * @param {Function} callFunction - Функция вызова метода (method, params, overrides) => Promise<Object>,
+ * возвращающая объект ошибки вместо исключения; overrides переопределяют настройки вызова
+ * @param {Object} options - Настройки dedupe
+ * @param {Object} options.dedupe - Настройки поиска созданного элемента
+ * @param {string} [options.dedupe.field] - Поле-маркер в params.fields (например, 'ORIGIN_ID' или 'UF_CRM_REQUEST_ID')
+ * @param {any} [options.dedupe.value] - Значение маркера (по умолчанию params.fields[field])
+ * @param {string} [options.dedupe.listMethod] - Списочный метод для поиска (по умолчанию method с .list вместо .add)
+ * @param {Function} [options.dedupe.find] - Собственный поиск ({ method, params, value }) => Promise<ID|null>
+ * @param {number} [options.tryes=3] - Количество запросов создания
+ * @param {number} [options.pause=1000] - Пауза перед поиском созданного элемента (мс)
+ * @param {AbortSignal} [options.signal] - Сигнал отмены
+ * @param {Object} [options.logger] - Логгер
+ * @returns {Promise<Object>} Ответ метода создания, { result: ID, deduplicated: true } для найденного элемента
+ * или объект ошибки
+ * @throws {Error} Если метод не является методом создания или не задан маркер
+ */
+async function callWithDedupe(method, params, callFunction, options) {
+  const { dedupe, tryes = 3, pause = 1000, signal, logger } = options;
+
+  if (!/\.add$/i.test(method)) {
+    throw new Error(`dedupe поддерживается только для методов создания: ${method}`);
+  }
+  if (!dedupe.find && (!dedupe.field || (dedupe.value ?? params.fields?.[dedupe.field]) === undefined)) {
+    throw new Error(`Для dedupe не задано поле-маркер или его значение в params.fields: ${method}`);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    // Каждая попытка - один запрос, иначе повторы внутри попытки умножались бы на tryes
+    const result = await callFunction(method, params, { tryes: 1, retryAmbiguous: false });
+    if (!isAmbiguousFailure(result) || attempt >= tryes) return result;
+
+    // Даем порталу завершить запрос, который мог продолжить выполняться после таймаута
+    await sleep(pause, signal);
+    if (signal?.aborted) return result;
+
+    let created;
+    try {
+      created = await findCreated(method, params, callFunction, dedupe);
+    } catch (error) {
+      logger?.error(`Ошибка поиска созданного элемента ${method}: ${error.message}`, { apiMethod: method });
+    }
+
+    if (created === undefined) {
+      logger?.warn(`Не удалось проверить создание ${method} после сбоя, повтор отменен`, { apiMethod: method });
+      return result;
+    }
+    if (created !== null) {
+      logger?.info(`Элемент ${method} уже создан неудачной попыткой: ${created}`, { apiMethod: method });
+      return { result: created, deduplicated: true };
+    }
+
+    logger?.warn(`Элемент ${method} не найден после сбоя, попытка ${attempt + 1} из ${tryes}`, { apiMethod: method });
+  }
+}
+
+module.exports = callWithDedupe;
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const parseQuery = require('../utils/parseQuery');
+
+/**
+ * Разбирает тело входящего события Bitrix24 (ONCRMDEALADD, ONAPPUNINSTALL и т.д.)
+ *
+ * Bitrix24 отправляет события POST-запросом application/x-www-form-urlencoded
+ * в нотации массивов PHP: data[FIELDS][ID]=5&auth[application_token]=...
+ *
+ * @param {string|Buffer|URLSearchParams|Object} body - Тело запроса события
+ * @returns {Object} Нормализованное событие
+ * @returns {string} returns.event - Имя события в верхнем регистре
+ * @returns {Object} returns.data - Данные события
+ * @returns {number|null} returns.ts - Время события (unix timestamp, секунды)
+ * @returns {Object} returns.auth - Данные авторизации из события
+ * @returns {string|undefined} returns.domain - Домен портала
+ * @returns {string|undefined} returns.member_id - Идентификатор портала
+ * @throws {Error} Если в теле запроса нет имени события
+ */
+function parseEvent(body) {
+  const parsed = parseQuery(body);
+
+  if (!parsed.event) {
+    throw new Error('Тело запроса не содержит имени события');
+  }
+
+  const auth = parsed.auth && typeof parsed.auth === 'object' ? parsed.auth : {};
+  const ts = parseInt(parsed.ts, 10);
+
+  return {
+    event: String(parsed.event).toUpperCase(),
+    data: parsed.data && typeof parsed.data === 'object' ? parsed.data : {},
+    ts: Number.isNaN(ts) ? null : ts,
+    auth,
+    domain: auth.domain,
+    member_id: auth.member_id,
+  };
+}
+
+/**
+ * Сравнивает токены приложения за постоянное время
+ * @param {string} received - Токен из события
+ * @param {string} expected - Токен, сохраненный при установке
+ * @returns {boolean} true, если токены совпадают
+ */
+function isSameToken(received, expected) {
+  const receivedBuffer = Buffer.from(String(received));
+  const expectedBuffer = Buffer.from(String(expected));
+  return receivedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Проверяет application_token события по авторизации, сохраненной при установке приложения
+ *
+ * @param {Object} event - Событие, разобранное parseEvent
+ * @param {Object} storedAuth - Сохраненная авторизация портала
+ * @param {string} storedAuth.application_token - Токен приложения, полученный при установке
+ * @returns {Object|null} null, если токен совпадает, иначе объект ошибки
+ */
+function verifyEvent(event, storedAuth) {
+  const context = { event: event?.event, domain: event?.domain, member_id: event?.member_id };
+
+  if (!event?.auth?.application_token) {
+    return {
+      error: 'invalid_application_token',
+      error_description: 'Событие не содержит application_token',
+      context,
+    };
+  }
+
+  if (!storedAuth?.application_token) {
+    return {
+      error: 'invalid_application_token',
+      error_description: 'Для портала не сохранен application_token',
+      context,
+    };
+  }
+
+  if (!isSameToken(event.auth.application_token, storedAuth.application_token)) {
+    return {
+      error: 'invalid_application_token',
+      error_description: 'application_token события не совпадает с сохраненным при установке',
+      context,
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseEvent,
+  verifyEvent,
+};
@@ -0,0 +1,451 @@
+const parseQuery = require('../utils/parseQuery');
+const { parseEvent } = require('./event');
+
+/**
+ * Пути обработчиков по умолчанию
+ * @type {Object}
+ */
+const DEFAULT_PATHS = {
+  install: '/install',
+  events: '/events',
+  placement: '/placement',
+};
+
+/**
+ * Максимальный размер тела запроса, который читается из потока (байт)
+ * @type {number}
+ */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Страница завершения установки приложения с интерфейсом
+ * @type {string}
+ */
+const INSTALL_FINISH_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <script src="//api.bitrix24.com/api/v1/"></script>
+</head>
+<body>
+  <script>
+    BX24.init(function () {
+      BX24.installFinish();
+    });
+  </script>
+</body>
+</html>`;
+
+/**
+ * Формирует ответ обработчика
+ * @param {number} status - HTTP-статус
+ * @param {string|Object} body - Тело ответа (объект отправляется как JSON)
+ * @param {Object} [headers={}] - Дополнительные заголовки
+ * @returns {{status: number, headers: Object, body: string}} Ответ
+ */
+function createResponse(status, body, headers = {}) {
+  if (typeof body === 'object') {
+    return { status, headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers }, body: JSON.stringify(body) };
+  }
+  return { status, headers: { 'Content-Type': 'text/plain; charset=utf-8', ...headers }, body: String(body) };
+}
+
+/**
+ * Формирует HTML-ответ
+ * @param {number} status - HTTP-статус
+ * @param {string} html - HTML-страница
+ * @returns {{status: number, headers: Object, body: string}} Ответ
+ */
+function createHtmlResponse(status, html) {
+  return { status, headers: { 'Content-Type': 'text/html; charset=utf-8' }, body: html };
+}
+
+/**
+ * Приводит результат пользовательского обработчика к ответу
+ * @param {any} result - Строка HTML, объект ответа { status, headers, body } или другой объект для JSON
+ * @returns {{status: number, headers: Object, body: string}} Ответ
+ */
+function toResponse(result) {
+  if (result === undefined || result === null) return createResponse(200, 'OK');
+  if (typeof result === 'string') return createHtmlResponse(200, result);
+  if (typeof result === 'object' && 'status' in result && 'body' in result) {
+    return typeof result.body === 'string' ? { headers: {}, ...result } : createResponse(result.status, result.body, result.headers);
+  }
+  return createResponse(200, result);
+}
+
+/**
+ * Разбирает PLACEMENT_OPTIONS, которые Bitrix24 передает строкой JSON
+ * @param {any} value - Значение PLACEMENT_OPTIONS
+ * @returns {Object} Параметры размещения
+ */
+function parsePlacementOptions(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Создает обработчики эндпоинтов приложения, не зависящие от HTTP-фреймворка
+ *
+ * Каждый обработчик принимает нормализованный запрос { query, body } и возвращает
+ * ответ { status, headers, body }. Адаптеры для Express/Connect, Fastify и node:http
+ * только переводят запрос и ответ фреймворка в этот формат.
+ *
+ * @param {Object} client - Экземпляр Bitrix24Client
+ * @param {Object} [options={}] - Настройки обработчиков
+ * @param {Object} [options.paths] - Пути эндпоинтов { install, events, placement }
+ * @param {Object<string, Function>} [options.events] - Обработчики событий по имени события: (event, client) => Promise
+ * @param {Function} [options.onInstall] - Вызывается после установки: (result, request) => Promise<string|Object|void>
+ * @param {string|Function} [options.installPage] - Страница завершения установки или функция (result) => string
+ * @param {Function} [options.onPlacement] - Обработчик открытия размещения: (placement, request) => Promise<string|Object>
+ * @param {boolean} [options.verifyPlacement=true] - Проверять токен пользователя размещения запросом user.current
+ * @param {Function} options.readAuthFunction - Функция чтения сохраненной авторизации клиента (с расшифровкой токенов)
+ * @returns {Object} Обработчики { install, events, placement, handle, on, paths }
+ * @throws {Error} Если не передана функция readAuthFunction
+ */
+function createHandlers(client, options = {}) {
+  if (typeof options.readAuthFunction !== 'function') {
+    throw new Error('Параметр readAuthFunction должен быть функцией');
+  }
+
+  const logger = client.config.logger;
+  const paths = { ...DEFAULT_PATHS, ...options.paths };
+  const eventHandlers = new Map();
+
+  /**
+   * Регистрирует обработчик события
+   * @param {string} eventName - Имя события (без учета регистра) или '*' для всех событий
+   * @param {Function} handler - Обработчик (event, client) => Promise
+   */
+  const on = (eventName, handler) => {
+    if (typeof handler !== 'function') {
+      throw new Error('Обработчик события должен быть функцией');
+    }
+    const name = eventName === '*' ? '*' : String(eventName).toUpperCase();
+    if (!eventHandlers.has(name)) eventHandlers.set(name, []);
+    eventHandlers.get(name).push(handler);
+  };
+
+  for (const [eventName, handler] of Object.entries(options.events || {})) {
+    on(eventName, handler);
+  }
+
+  /**
+   * Установка приложения: событие ONAPPINSTALL или открытие приложения с PLACEMENT=DEFAULT
+   * @param {{query: Object, body: Object}} request - Нормализованный запрос
+   * @returns {Promise<Object>} Ответ
+   */
+  const install = async (request) => {
+    // DOMAIN, APP_SID и другие параметры при установке с интерфейсом передаются в URL
+    const result = await client.installApp({ ...request.query, ...request.body });
+
+    if (result.error || !result.install) {
+      logger.warn('Установка приложения не выполнена', {
+        domain: result.context?.domain || request.query.DOMAIN || 'unknown',
+        apiMethod: 'installApp',
+        error: result.error,
+        description: result.description,
+      });
+      return createResponse(result.error ? 500 : 400, { error: result.error || 'install_error', description: result.description });
+    }
+
+    if (options.onInstall) {
+      const custom = await options.onInstall(result, request);
+      if (custom !== undefined) return toResponse(custom);
+    }
+
+    // Приложение без интерфейса установлено событием ONAPPINSTALL
+    if (result.rest_only) {
+      return createResponse(200, 'OK');
+    }
+
+    const page = typeof options.installPage === 'function' ? options.installPage(result) : options.installPage;
+    return createHtmlResponse(200, page || INSTALL_FINISH_PAGE);
+  };
+
+  /**
+   * Входящие события: проверка application_token и вызов обработчиков по имени события
+   * @param {{query: Object, body: Object}} request - Нормализованный запрос
+   * @returns {Promise<Object>} Ответ
+   */
+  const events = async (request) => {
+    let event;
+    try {
+      event = parseEvent(request.body);
+    } catch (err) {
+      return createResponse(400, { error: 'invalid_event', description: err.message });
+    }
+
+    // Авторизация удаляется при удалении приложения, поэтому токен проверяется внутри uninstallApp
+    if (event.event === 'ONAPPUNINSTALL') {
+      const result = await client.uninstallApp(request.body);
+      if (result.error) {
+        return createResponse(401, { error: result.error_code || result.error, description: result.description });
+      }
+      event.uninstall = result;
+    } else {
+      // В режиме throwOnError verifyEvent выбрасывает исключение вместо объекта ошибки
+      const verified = await client.verifyEvent(request.body).catch((err) => ({
+        error: err.code || 'invalid_event',
+        error_description: err.message,
+      }));
+      if (verified.error) {
+        return createResponse(401, { error: verified.error, description: verified.error_description || verified.description });
+      }
+      event = verified;
+    }
+
+    const handlers = [...(eventHandlers.get(event.event) || []), ...(eventHandlers.get('*') || [])];
+    if (handlers.length === 0) {
+      logger.debug(`Нет обработчиков для события ${event.event}`, { domain: event.domain, apiMethod: 'events' });
+    }
+
+    try {
+      for (const handler of handlers) {
+        await handler(event, client);
+      }
+    } catch (err) {
+      logger.error(`Ошибка обработчика события ${event.event}`, {
+        domain: event.domain,
+        apiMethod: 'events',
+        error_name: err.name,
+        error_message: err.message,
+        error_stack: err.stack,
+      });
+      return createResponse(500, { error: 'event_handler_error', description: err.message });
+    }
+
+    return createResponse(200, 'OK');
+  };
+
+  /**
+   * Открытие размещения: проверка авторизации пользователя и передача PLACEMENT_OPTIONS приложению
+   * @param {{query: Object, body: Object}} request - Нормализованный запрос
+   * @returns {Promise<Object>} Ответ
+   */
+  const placement = async (request) => {
+    const params = { ...request.query, ...request.body };
+    const { AUTH_ID, AUTH_EXPIRES, REFRESH_ID, DOMAIN, member_id, PLACEMENT, LANG } = params;
+
+    if (!AUTH_ID || !DOMAIN) {
+      return createResponse(400, { error: 'invalid_placement', description: 'Отсутствуют параметры AUTH_ID или DOMAIN' });
+    }
+
+    const auth = {
+      access_token: AUTH_ID,
+      refresh_token: REFRESH_ID,
+      expires_in: parseInt(AUTH_EXPIRES, 10) || 3600,
+      domain: DOMAIN,
+      client_endpoint: `https://${DOMAIN}/rest/`,
+      member_id,
+    };
+
+    // Приложение должно быть установлено на портале, с которого открыто размещение
+    const storedAuth = await options.readAuthFunction({ domain: DOMAIN, member_id });
+    if (!storedAuth || (member_id && storedAuth.member_id && storedAuth.member_id !== member_id)) {
+      logger.warn('Размещение открыто с портала, на котором приложение не установлено', {
+        domain: DOMAIN,
+        apiMethod: 'placement',
+      });
+      return createResponse(401, { error: 'invalid_placement', description: 'Приложение не установлено на портале' });
+    }
+
+    let user;
+    if (options.verifyPlacement !== false) {
+      try {
+        const response = await client.callDirect('user.current', {}, auth);
+        if (!response || response.error || !response.result) {
+          throw new Error(response?.error_description || response?.error || 'empty response');
+        }
+        user = response.result;
+      } catch (err) {
+        logger.warn('Токен пользователя размещения не прошел проверку', {
+          domain: DOMAIN,
+          apiMethod: 'placement',
+          error_message: err.message,
+        });
+        return createResponse(401, { error: 'invalid_placement', description: 'Токен пользователя недействителен' });
+      }
+    }
+
+    if (!options.onPlacement) {
+      return createResponse(404, { error: 'placement_handler_not_found', description: 'Не задан обработчик onPlacement' });
+    }
+
+    return toResponse(
+      await options.onPlacement(
+        {
+          placement: PLACEMENT,
+          options: parsePlacementOptions(params.PLACEMENT_OPTIONS),
+          auth,
+          user,
+          domain: DOMAIN,
+          member_id,
+          lang: LANG,
+        },
+        request
+      )
+    );
+  };
+
+  const routes = {
+    [paths.install]: install,
+    [paths.events]: events,
+    [paths.placement]: placement,
+  };
+
+  /**
+   * Выполняет обработчик, соответствующий пути запроса
+   * @param {string} path - Путь запроса без query-строки
+   * @param {{query: Object, body: Object}} request - Нормализованный запрос
+   * @returns {Promise<Object|null>} Ответ или null, если путь не обслуживается
+   */
+  const handle = async (path, request) => {
+    const route = routes[path];
+    if (!route) return null;
+
+    try {
+      return await route(request);
+    } catch (err) {
+      logger.error(`Ошибка обработки запроса ${path}`, {
+        apiMethod: 'handlers',
+        error_name: err.name,
+        error_message: err.message,
+        error_stack: err.stack,
+      });
+      return createResponse(500, { error: 'handler_error', description: err.message });
+    }
+  };
+
+  return { install, events, placement, handle, on, paths };
+}
+
+/**
+ * Читает тело запроса node:http, если его еще не разобрал body-parser
+ * @param {IncomingMessage} req - Входящий запрос
+ * @returns {Promise<Object|string>} Разобранное тело или строка
+ */
+async function readBody(req) {
+  if (req.body !== undefined && req.body !== null) return req.body;
+
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw new Error('Превышен максимальный размер тела запроса');
+    }
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.includes('application/json') && raw) {
+    return JSON.parse(raw);
+  }
+  return raw;
+}
+
+/**
+ * Отправляет ответ обработчика через node:http
+ * @param {ServerResponse} res - Ответ node:http
+ * @param {{status: number, headers: Object, body: string}} response - Ответ обработчика
+ */
+function sendResponse(res, response) {
+  res.statusCode = response.status;
+  for (const [name, value] of Object.entries(response.headers)) {
+    res.setHeader(name, value);
+  }
+  res.end(response.body);
+}
+
+/**
+ * Создает обработчик запросов для node:http, совместимый с middleware Express/Connect
+ *
+ * Запросы на пути, которые не обслуживаются, передаются в next, а без next
+ * завершаются ответом 404.
+ *
+ * @param {Object} client - Экземпляр Bitrix24Client
+ * @param {Object} [options={}] - Настройки обработчиков, см. createHandlers
+ * @returns {Function} Обработчик (req, res, next) с методом on(eventName, handler)
+ */
+function createRequestListener(client, options = {}) {
+  const handlers = createHandlers(client, options);
+
+  const listener = async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!Object.values(handlers.paths).includes(url.pathname)) {
+      if (next) return next();
+      return sendResponse(res, createResponse(404, 'Not Found'));
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      if (next) return next(err);
+      return sendResponse(res, createResponse(400, { error: 'invalid_body', description: err.message }));
+    }
+
+    const request = { query: parseQuery(url.searchParams), body: parseQuery(body), raw: req };
+    const response = await handlers.handle(url.pathname, request);
+    return sendResponse(res, response);
+  };
+
+  listener.on = handlers.on;
+  return listener;
+}
+
+/**
+ * Создает плагин Fastify с маршрутами install, events и placement
+ *
+ * Если в экземпляре Fastify нет парсера application/x-www-form-urlencoded,
+ * плагин регистрирует свой, сохраняющий тело строкой.
+ *
+ * @param {Object} client - Экземпляр Bitrix24Client
+ * @param {Object} [options={}] - Настройки обработчиков, см. createHandlers
+ * @returns {Function} Плагин async (fastify) => void с методом on(eventName, handler)
+ */
+function createFastifyPlugin(client, options = {}) {
+  const handlers = createHandlers(client, options);
+
+  const plugin = async (fastify) => {
+    if (!fastify.hasContentTypeParser('application/x-www-form-urlencoded')) {
+      fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (request, body, done) => {
+        done(null, body);
+      });
+    }
+
+    for (const path of Object.values(handlers.paths)) {
+      fastify.route({
+        method: ['GET', 'POST'],
+        url: path,
+        handler: async (request, reply) => {
+          const response = await handlers.handle(path, {
+            query: parseQuery(request.query),
+            body: parseQuery(request.body),
+            raw: request,
+          });
+          return reply.code(response.status).headers(response.headers).send(response.body);
+        },
+      });
+    }
+  };
+
+  plugin.on = handlers.on;
+  return plugin;
+}
+
+module.exports = {
+  createHandlers,
+  createRequestListener,
+  createFastifyPlugin,
+  INSTALL_FINISH_PAGE,
+};
@@ -0,0 +1,266 @@
+const batch = require('./batch');
+
+/**
+ * Размер страницы Bitrix24 для списочных методов
+ * @type {number}
+ */
+const PAGE_SIZE = 50;
+
+/**
+ * Количество курсоров в одном запросе batch по умолчанию для быстрого режима
+ * @type {number}
+ */
+const DEFAULT_CURSORS_PER_BATCH = 10;
+
+/**
+ * Ключи, под которыми списочные методы возвращают записи вместо массива в result
+ * (tasks.task.list, crm.item.list, catalog.product.list)
+ * @type {string[]}
+ */
+const NESTED_RESULT_KEYS = ['tasks', 'items', 'products'];
+
+/**
+ * Определяет ключ, под которым лежат записи внутри result
+ * @param {any} result - Поле result ответа Bitrix24
+ * @param {string} [resultKey] - Явно заданный ключ с записями
+ * @returns {string|null} Ключ с записями или null, если result является массивом
+ */
+function detectResultKey(result, resultKey) {
+  if (resultKey) return resultKey;
+  if (!result || typeof result !== 'object' || Array.isArray(result)) return null;
+  return NESTED_RESULT_KEYS.find((key) => Array.isArray(result[key])) || null;
+}
+
+/**
+ * Извлекает массив записей из ответа списочного метода
+ * @param {Object} response - Ответ Bitrix24
+ * @param {string} [resultKey] - Явно заданный ключ с записями внутри result
+ * @returns {Array} Массив записей страницы
+ */
+function extractItems(response, resultKey) {
+  const { result } = response;
+
+  if (Array.isArray(result)) return result;
+  if (!result || typeof result !== 'object') return [];
+
+  const nestedKey = detectResultKey(result, resultKey);
+  if (nestedKey) return Array.isArray(result[nestedKey]) ? result[nestedKey] : [];
+
+  return Object.values(result);
+}
+
+/**
+ * Создает ошибку получения страницы списка
+ * @param {string} method - Списочный метод API
+ * @param {Object} response - Ответ Bitrix24 или описание ошибки
+ * @returns {Error} Ошибка с исходным ответом в поле cause
+ */
+function createListError(method, response) {
+  const description = response?.error_description || response?.description || response?.error || 'empty response';
+  return new Error(`Ошибка получения списка ${method}: ${description}`, { cause: response });
+}
+
+/**
+ * Находит имя поля идентификатора в записи без учета регистра (ID, id)
+ * @param {Object} item - Запись списка
+ * @param {string} idField - Имя поля идентификатора в фильтре
+ * @returns {string} Имя поля идентификатора в записи
+ */
+function detectIdKey(item, idField) {
+  return Object.keys(item || {}).find((key) => key.toLowerCase() === idField.toLowerCase()) || idField;
+}
+
+/**
+ * Проверяет, что сортировка совместима с обходом по курсору ID
+ *
+ * Курсор требует сортировки по возрастанию ID, поэтому другая сортировка молча
+ * заменилась бы на нее и записи пришли бы не в том порядке, который ожидает вызывающий код.
+ *
+ * @param {string} method - Списочный метод API
+ * @param {Object} [order] - Параметр order вызова
+ * @param {string} idField - Имя поля идентификатора
+ * @throws {Error} Если задана сортировка, отличная от { [idField]: 'ASC' }
+ */
+function assertCursorOrder(method, order, idField) {
+  const entries = Object.entries(order || {});
+  if (entries.length === 0) return;
+
+  const [[field, direction]] = entries;
+  const isIdAsc =
+    entries.length === 1 && field.toLowerCase() === idField.toLowerCase() && String(direction).toUpperCase() === 'ASC';
+
+  if (!isIdAsc) {
+    throw new Error(
+      `Быстрый режим обходит ${method} только по возрастанию ${idField}, сортировка order не поддерживается: ` +
+        JSON.stringify(order)
+    );
+  }
+}
+
+/**
+ * Формирует параметры страницы для обхода по курсору ID
+ *
+ * Сортировка вызова заменяется на { [idField]: 'ASC' }, совместимость проверяет assertCursorOrder.
+ * @param {Object} params - Исходные параметры метода
+ * @param {string} idField - Имя поля идентификатора
+ * @param {number|string} cursor - Последний полученный ID или ссылка $result[...]
+ * @returns {Object} Параметры страницы
+ */
+function buildCursorParams(params, idField, cursor) {
+  const rest = { ...params };
+  delete rest.start;
+  delete rest.order;
+
+  const select = Array.isArray(rest.select) && !rest.select.includes(idField) && !rest.select.includes('*')
+    ? [...rest.select, idField]
+    : rest.select;
+
+  return {
+    ...rest,
+    ...(select ? { select } : {}),
+    order: { [idField]: 'ASC' },
+    filter: { ...rest.filter, [`>${idField}`]: cursor },
+    start: -1,
+  };
+}
+
+/**
+ * Обходит списочный метод по курсору ID без подсчета общего количества
+ *
+ * Использует рекомендованный Bitrix24 способ выгрузки больших объемов:
+ * start = -1, сортировку по ID и фильтр >ID по последней полученной записи.
+ * Несколько курсоров объединяются в один запрос batch, где каждая следующая
+ * команда ссылается на последнюю запись предыдущей через $result[...].
+ *
+ * Общее количество записей запрашивается один раз, с первой страницей: по нему
+ * последний batch содержит только нужные команды. Команда после неполной
+ * страницы ссылалась бы на несуществующую запись и выполнила бы лишний запрос.
+ *
+ * @param {string} method - Списочный метод API
+ * @param {Object} params - Параметры метода
+ * @param {Function} callFunction - Функция вызова метода (method, params) => Promise<Object>
+ * @param {Object} options - Настройки обхода
+ * @yields {Object} Запись списка
+ * @throws {Error} Если задана сортировка, отличная от сортировки по возрастанию ID
+ */
+async function* listByIdCursor(method, params, callFunction, options) {
+  const { idField = 'ID' } = options;
+  assertCursorOrder(method, params.order, idField);
+  const cursorsPerBatch = Math.min(Math.max(1, options.batchSize || DEFAULT_CURSORS_PER_BATCH), PAGE_SIZE);
+  let cursor = params.filter?.[`>${idField}`] ?? 0;
+
+  // Первая страница запрашивается отдельно, чтобы определить структуру ответа и общее количество записей
+  const first = await callFunction(method, { ...buildCursorParams(params, idField, cursor), start: 0 });
+  if (!first || first.error || !('result' in first)) {
+    throw createListError(method, first);
+  }
+
+  const resultKey = detectResultKey(first.result, options.resultKey);
+  let items = extractItems(first, resultKey);
+  let remaining = Number(first.total) - items.length;
+  yield* items;
+
+  const idKey = detectIdKey(items[0], idField);
+  const referencePath = (name) => `$result[${name}]${resultKey ? `[${resultKey}]` : ''}[${PAGE_SIZE - 1}][${idKey}]`;
+
+  while (items.length === PAGE_SIZE) {
+    cursor = items[items.length - 1][idKey];
+
+    // Без total (метод его не вернул) размер batch не уменьшается. Если записи по total получены,
+    // одна команда проверяет, не добавились ли новые
+    const pages = Number.isFinite(remaining)
+      ? Math.min(cursorsPerBatch, Math.max(1, Math.ceil(remaining / PAGE_SIZE)))
+      : cursorsPerBatch;
+    const commands = {};
+    for (let index = 0; index < pages; index++) {
+      commands[`page${index}`] = {
+        method,
+        params: buildCursorParams(params, idField, index === 0 ? cursor : referencePath(`page${index - 1}`)),
+      };
+    }
+
+    const response = await batch(commands, (batchParams) => callFunction('batch', batchParams));
+    if (!response || response.error || !response.result) {
+      throw createListError(method, response);
+    }
+
+    // Записи могли удалить после подсчета: команды после неполной страницы ссылаются
+    // на несуществующую запись, их результаты отбрасываются
+    for (let index = 0; index < pages; index++) {
+      const error = response.result.result_error[`page${index}`];
+      if (error) {
+        throw createListError(method, error);
+      }
+
+      items = extractItems({ result: response.result.result[`page${index}`] }, resultKey);
+      remaining -= items.length;
+      yield* items;
+
+      if (items.length < PAGE_SIZE) break;
+    }
+  }
+}
+
+/**
+ * Постранично обходит списочный метод, следуя полю next
+ *
+ * Каждая страница запрашивается через callFunction и проходит через лимитер.
+ * Записи отдаются плоским потоком независимо от того, вложены ли они
+ * в result.tasks, result.items или result.products.
+ *
+ * @param {string} method - Списочный метод API (например, 'crm.deal.list')
+ * @param {Object} [params={}] - Параметры метода
+ * @param {Function} callFunction - Функция вызова метода (method, params) => Promise<Object>
+ * @param {Object} [options={}] - Дополнительные опции
+ * @param {string} [options.resultKey] - Ключ с записями внутри result (определяется автоматически)
+ * @param {boolean} [options.fast=false] - Быстрый режим: обход по курсору ID без подсчета total,
+ * сортировка только по возрастанию ID (другой order приводит к ошибке)
+ * @param {string} [options.idField='ID'] - Поле идентификатора для быстрого режима
+ * @param {number} [options.batchSize=10] - Количество курсоров в одном запросе batch для быстрого режима (до 50)
+ * @yields {Object} Запись списка
+ * @throws {Error} Если запрос страницы завершился ошибкой (исходный ответ доступен в error.cause)
+ */
+async function* listAll(method, params = {}, callFunction, options = {}) {
+  if (options.fast) {
+    yield* listByIdCursor(method, params, callFunction, options);
+    return;
+  }
+
+  let start = params.start;
+
+  do {
+    const pageParams = start === undefined ? params : { ...params, start };
+    const response = await callFunction(method, pageParams);
+
+    if (!response || response.error || !('result' in response)) {
+      throw createListError(method, response);
+    }
+
+    yield* extractItems(response, options.resultKey);
+
+    start = response.next;
+  } while (start !== undefined && start !== null);
+}
+
+/**
+ * Получает все записи списочного метода одним массивом
+ *
+ * @param {string} method - Списочный метод API
+ * @param {Object} [params={}] - Параметры метода
+ * @param {Function} callFunction - Функция вызова метода (method, params) => Promise<Object>
+ * @param {Object} [options={}] - Дополнительные опции, см. listAll
+ * @returns {Promise<Array>} Массив всех записей
+ */
+async function fetchAll(method, params = {}, callFunction, options = {}) {
+  const items = [];
+  for await (const item of listAll(method, params, callFunction, options)) {
+    items.push(item);
+  }
+  return items;
+}
+
+module.exports = {
+  listAll,
+  fetchAll,
+  extractItems,
+};
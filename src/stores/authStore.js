@@ -0,0 +1,103 @@
+/**
+ * Базовый класс хранилища авторизаций порталов
+ *
+ * Хранилище держит по одной записи на портал с ключом member_id и индексом
+ * по домену, поэтому авторизацию можно найти и по { member_id }, и по { domain }.
+ * Наследники реализуют методы get, set, delete и list; методы readAuth, writeAuth
+ * и deleteAuth подключают хранилище к config клиента.
+ *
+ * При записи новые поля объединяются с сохраненными: ответ oauth.token не содержит
+ * application_token, и он не должен теряться при обновлении токена.
+ *
+ * @class AuthStore
+ * @since 0.6.0
+ */
+class AuthStore {
+  /**
+   * Возвращает ключ записи авторизации
+   * @param {Object} auth - Данные авторизации
+   * @returns {string} member_id или домен, если member_id отсутствует
+   * @throws {Error} Если нет ни member_id, ни domain
+   */
+  static getKey(auth) {
+    const key = auth?.member_id || auth?.domain;
+    if (!key) {
+      throw new Error('Для сохранения авторизации требуется member_id или domain');
+    }
+    return String(key);
+  }
+
+  /**
+   * Приводит параметр поиска к объекту { member_id, domain }
+   * @param {Object|string} query - Данные авторизации, member_id или домен
+   * @returns {{member_id: string|undefined, domain: string|undefined}} Параметры поиска
+   */
+  static normalizeQuery(query) {
+    if (typeof query === 'string') {
+      return query.includes('.') ? { domain: query } : { member_id: query };
+    }
+    return { member_id: query?.member_id, domain: query?.domain };
+  }
+
+  /**
+   * Получает авторизацию по member_id или домену
+   * @abstract
+   * @param {Object|string} query - Данные авторизации ({ member_id } или { domain }), member_id или домен
+   * @returns {Promise<Object|null>} Сохраненная авторизация или null
+   */
+  async get() {
+    throw new Error(`${this.constructor.name} должен реализовать метод get`);
+  }
+
+  /**
+   * Сохраняет авторизацию, объединяя ее с уже сохраненной записью портала
+   * @abstract
+   * @param {Object} auth - Данные авторизации с member_id или domain
+   * @returns {Promise<boolean>} true, если запись сохранена
+   */
+  async set() {
+    throw new Error(`${this.constructor.name} должен реализовать метод set`);
+  }
+
+  /**
+   * Удаляет авторизацию портала
+   * @abstract
+   * @param {Object|string} query - Данные авторизации ({ member_id } или { domain }), member_id или домен
+   * @returns {Promise<boolean>} true, если запись была удалена
+   */
+  async delete() {
+    throw new Error(`${this.constructor.name} должен реализовать метод delete`);
+  }
+
+  /**
+   * Возвращает все сохраненные авторизации
+   * @abstract
+   * @returns {Promise<Object[]>} Список авторизаций
+   */
+  async list() {
+    throw new Error(`${this.constructor.name} должен реализовать метод list`);
+  }
+
+  /**
+   * Обработчик config.readAuth
+   * @param {Object} auth - Данные авторизации или идентификатор портала
+   * @returns {Promise<Object|null>} Сохраненная авторизация
+   */
+  readAuth = async (auth) => await this.get(auth);
+
+  /**
+   * Обработчик config.writeAuth
+   * @param {Object} auth - Данные авторизации
+   * @returns {Promise<boolean>} true, если запись сохранена
+   */
+  writeAuth = async (auth) => await this.set(auth);
+
+  /**
+   * Обработчик config.deleteAuth
+   * @param {Object} auth - Данные портала { domain, member_id }
+   * @returns {Promise<boolean>} true, если запись была удалена
+   */
+  deleteAuth = async (auth) => await this.delete(auth);
+}
+
+module.exports = AuthStore;
@@ -0,0 +1,224 @@
+const fs = require('fs/promises');
+const path = require('path');
+const AuthStore = require('./authStore');
+const { acquireFileLock, writeJsonAtomic, readJson } = require('../../utils/fileLock');
+
+/**
+ * Имя файла индекса доменов внутри каталога хранилища
+ * @type {string}
+ */
+const DOMAIN_INDEX_FILE = '.domains.json';
+
+/**
+ * Имя файла блокировки каталога хранилища
+ * @type {string}
+ */
+const LOCK_FILE = '.lock';
+
+/**
+ * Хранилище авторизаций в каталоге JSON-файлов, по одному файлу на портал
+ *
+ * Файлы записываются атомарно: во временный файл с последующим переименованием,
+ * поэтому чтение никогда не видит частично записанную авторизацию. Изменения
+ * выполняются под блокировкой каталога (файл .lock, создаваемый эксклюзивно),
+ * что позволяет нескольким процессам работать с одним каталогом. Блокировка,
+ * оставшаяся после аварийного завершения процесса, снимается по истечении staleLockTimeout.
+ *
+ * @class FileAuthStore
+ * @extends AuthStore
+ * @since 0.6.0
+ * @example
+ * const store = new FileAuthStore({ dir: './data/auth' });
+ * const client = new Bitrix24Client({ client_id, client_secret, authStore: store });
+ */
+class FileAuthStore extends AuthStore {
+  /**
+   * Каталог хранилища
+   * @private
+   * @type {string}
+   */
+  #dir;
+
+  /**
+   * Максимальное время ожидания блокировки (мс)
+   * @private
+   * @type {number}
+   */
+  #lockTimeout;
+
+  /**
+   * Возраст блокировки, после которого она считается оставленной (мс)
+   * @private
+   * @type {number}
+   */
+  #staleLockTimeout;
+
+  /**
+   * Очередь изменений внутри процесса, чтобы не конкурировать за файл блокировки
+   * @private
+   * @type {Promise<void>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * Создание каталога хранилища
+   * @private
+   * @type {Promise<void>|null}
+   */
+  #ready = null;
+
+  /**
+   * @param {Object} options - Настройки хранилища
+   * @param {string} options.dir - Каталог для файлов авторизаций (создается при необходимости)
+   * @param {number} [options.lockTimeout=5000] - Максимальное время ожидания блокировки (мс)
+   * @param {number} [options.staleLockTimeout=10000] - Возраст блокировки, после которого она снимается (мс)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.dir) {
+      throw new Error('Не указан каталог хранилища авторизаций dir');
+    }
+
+    this.#dir = path.resolve(options.dir);
+    this.#lockTimeout = options.lockTimeout || 5000;
+    this.#staleLockTimeout = options.staleLockTimeout || 10000;
+  }
+
+  /**
+   * Создает каталог хранилища с доступом только для владельца
+   * @private
+   * @returns {Promise<void>}
+   */
+  #ensureDir() {
+    this.#ready ||= fs.mkdir(this.#dir, { recursive: true, mode: 0o700 }).then(() => undefined);
+    return this.#ready;
+  }
+
+  /**
+   * Возвращает путь к файлу авторизации портала
+   * @private
+   * @param {string} key - Ключ записи
+   * @returns {string} Путь к файлу
+   */
+  #filePath(key) {
+    return path.join(this.#dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Выполняет изменение хранилища под блокировкой
+   * @private
+   * @param {Function} operation - Изменение () => Promise<any>
+   * @returns {Promise<any>} Результат изменения
+   */
+  #withLock(operation) {
+    const run = async () => {
+      await this.#ensureDir();
+      const release = await acquireFileLock(path.join(this.#dir, LOCK_FILE), {
+        timeout: this.#lockTimeout,
+        staleTimeout: this.#staleLockTimeout,
+      });
+      try {
+        return await operation();
+      } finally {
+        await release();
+      }
+    };
+
+    const result = this.#queue.then(run, run);
+    this.#queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Находит ключ записи по member_id или домену
+   * @private
+   * @param {Object|string} query - Параметры поиска
+   * @returns {Promise<string|undefined>} Ключ записи
+   */
+  async #findKey(query) {
+    const { member_id, domain } = AuthStore.normalizeQuery(query);
+    if (member_id && (await readJson(this.#filePath(member_id)))) return member_id;
+    if (domain) {
+      const index = (await readJson(path.join(this.#dir, DOMAIN_INDEX_FILE))) || {};
+      return index[domain];
+    }
+    return undefined;
+  }
+
+  async get(query) {
+    const key = await this.#findKey(query);
+    return key ? await readJson(this.#filePath(key)) : null;
+  }
+
+  async set(auth) {
+    const key = AuthStore.getKey(auth);
+
+    return this.#withLock(async () => {
+      const indexPath = path.join(this.#dir, DOMAIN_INDEX_FILE);
+      const index = (await readJson(indexPath)) || {};
+
+      // Запись могла быть сохранена по домену до получения member_id
+      let previous = await readJson(this.#filePath(key));
+      let replacedKey;
+      if (!previous && auth.domain && auth.domain !== key) {
+        previous = await readJson(this.#filePath(auth.domain));
+        replacedKey = previous ? auth.domain : undefined;
+      }
+
+      const record = { ...previous, ...auth };
+      await writeJsonAtomic(this.#filePath(key), record);
+
+      if (replacedKey) {
+        await fs.rm(this.#filePath(replacedKey), { force: true });
+      }
+
+      let indexChanged = false;
+
+      // Портал сменил адрес
+      if (previous?.domain && previous.domain !== record.domain && index[previous.domain] === key) {
+        delete index[previous.domain];
+        indexChanged = true;
+      }
+      if (record.domain && index[record.domain] !== key) {
+        index[record.domain] = key;
+        indexChanged = true;
+      }
+      if (indexChanged) {
+        await writeJsonAtomic(indexPath, index);
+      }
+
+      return true;
+    });
+  }
+
+  async delete(query) {
+    return this.#withLock(async () => {
+      const key = await this.#findKey(query);
+      if (!key) return false;
+
+      const filePath = this.#filePath(key);
+      const record = await readJson(filePath);
+      if (!record) return false;
+
+      await fs.rm(filePath, { force: true });
+
+      const indexPath = path.join(this.#dir, DOMAIN_INDEX_FILE);
+      const index = (await readJson(indexPath)) || {};
+      if (record.domain && index[record.domain] === key) {
+        delete index[record.domain];
+        await writeJsonAtomic(indexPath, index);
+      }
+
+      return true;
+    });
+  }
+
+  async list() {
+    await this.#ensureDir();
+    const files = (await fs.readdir(this.#dir)).filter((file) => file.endsWith('.json') && !file.startsWith('.'));
+    const records = await Promise.all(files.map((file) => readJson(path.join(this.#dir, file))));
+    return records.filter(Boolean);
+  }
+}
+
+module.exports = FileAuthStore;
@@ -0,0 +1,162 @@
+const fs = require('fs/promises');
+const path = require('path');
+const LimiterStore = require('./limiterStore');
+const { acquireFileLock, writeJsonAtomic, readJson } = require('../../utils/fileLock');
+
+/**
+ * Хранилище состояния лимитера в каталоге JSON-файлов, по одному файлу на портал
+ *
+ * Позволяет нескольким процессам на одном сервере расходовать одно "ведро" портала.
+ * Изменение выполняется под блокировкой портала (файл <домен>.lock, создаваемый
+ * эксклюзивно), а запись — через временный файл и переименование. Блокировка,
+ * оставшаяся после аварийного завершения процесса, снимается по истечении staleLockTimeout.
+ *
+ * @class FileLimiterStore
+ * @extends LimiterStore
+ * @since 0.6.0
+ * @example
+ * const limiter = new RequestLimiter({ store: new FileLimiterStore({ dir: '/tmp/b24-limiter' }) });
+ */
+class FileLimiterStore extends LimiterStore {
+  /**
+   * Каталог хранилища
+   * @private
+   * @type {string}
+   */
+  #dir;
+
+  /**
+   * Максимальное время ожидания блокировки (мс)
+   * @private
+   * @type {number}
+   */
+  #lockTimeout;
+
+  /**
+   * Возраст блокировки, после которого она считается оставленной (мс)
+   * @private
+   * @type {number}
+   */
+  #staleLockTimeout;
+
+  /**
+   * Очереди изменений внутри процесса по доменам
+   * @private
+   * @type {Map<string, Promise<void>>}
+   */
+  #queues = new Map();
+
+  /**
+   * Создание каталога хранилища
+   * @private
+   * @type {Promise<void>|null}
+   */
+  #ready = null;
+
+  /**
+   * @param {Object} options - Настройки хранилища
+   * @param {string} options.dir - Каталог для файлов состояния (создается при необходимости)
+   * @param {number} [options.lockTimeout=2000] - Максимальное время ожидания блокировки (мс)
+   * @param {number} [options.staleLockTimeout=5000] - Возраст блокировки, после которого она снимается (мс)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.dir) {
+      throw new Error('Не указан каталог хранилища лимитера dir');
+    }
+
+    this.#dir = path.resolve(options.dir);
+    this.#lockTimeout = options.lockTimeout || 2000;
+    this.#staleLockTimeout = options.staleLockTimeout || 5000;
+  }
+
+  /**
+   * Создает каталог хранилища с доступом только для владельца
+   * @private
+   * @returns {Promise<void>}
+   */
+  #ensureDir() {
+    this.#ready ||= fs.mkdir(this.#dir, { recursive: true, mode: 0o700 }).then(() => undefined);
+    return this.#ready;
+  }
+
+  /**
+   * Возвращает путь к файлу портала
+   * @private
+   * @param {string} domain - Домен портала
+   * @param {string} [extension='json'] - Расширение файла
+   * @returns {string} Путь к файлу
+   */
+  #filePath(domain, extension = 'json') {
+    return path.join(this.#dir, `${encodeURIComponent(domain)}.${extension}`);
+  }
+
+  /**
+   * Выполняет изменение состояния портала под блокировкой
+   * @private
+   * @param {string} domain - Домен портала
+   * @param {Function} operation - Изменение () => Promise<any>
+   * @returns {Promise<any>} Результат изменения
+   */
+  #withLock(domain, operation) {
+    const run = async () => {
+      await this.#ensureDir();
+      const release = await acquireFileLock(this.#filePath(domain, 'lock'), {
+        timeout: this.#lockTimeout,
+        staleTimeout: this.#staleLockTimeout,
+      });
+      try {
+        return await operation();
+      } finally {
+        await release();
+      }
+    };
+
+    const previous = this.#queues.get(domain) || Promise.resolve();
+    const result = previous.then(run, run);
+    const queue = result.then(
+      () => {},
+      () => {}
+    );
+    this.#queues.set(domain, queue);
+
+    // Очередь без ожидающих изменений больше не нужна
+    queue.then(() => {
+      if (this.#queues.get(domain) === queue) this.#queues.delete(domain);
+    });
+    return result;
+  }
+
+  async get(domain) {
+    return await readJson(this.#filePath(domain));
+  }
+
+  async update(domain, updater) {
+    return this.#withLock(domain, async () => {
+      const filePath = this.#filePath(domain);
+      const state = updater(await readJson(filePath));
+
+      if (state) {
+        // Состояние лимитера не требует сохранности при сбое питания
+        await writeJsonAtomic(filePath, state, { sync: false });
+      } else {
+        await fs.rm(filePath, { force: true });
+      }
+      return state;
+    });
+  }
+
+  async delete(domain) {
+    return this.#withLock(domain, async () => {
+      const filePath = this.#filePath(domain);
+      const exists = await fs.stat(filePath).then(
+        () => true,
+        () => false
+      );
+      await fs.rm(filePath, { force: true });
+      return exists;
+    });
+  }
+}
+
+module.exports = FileLimiterStore;
@@ -0,0 +1,19 @@
+const AuthStore = require('./authStore');
+const MemoryAuthStore = require('./memoryAuthStore');
+const FileAuthStore = require('./fileAuthStore');
+const SqliteAuthStore = require('./sqliteAuthStore');
+const LimiterStore = require('./limiterStore');
+const MemoryLimiterStore = require('./memoryLimiterStore');
+const FileLimiterStore = require('./fileLimiterStore');
+const SqliteLimiterStore = require('./sqliteLimiterStore');
+
+module.exports = {
+  AuthStore,
+  MemoryAuthStore,
+  FileAuthStore,
+  SqliteAuthStore,
+  LimiterStore,
+  MemoryLimiterStore,
+  FileLimiterStore,
+  SqliteLimiterStore,
+};
@@ -0,0 +1,70 @@
+/**
+ * Базовый класс хранилища состояния лимитера запросов
+ *
+ * Хранилище держит общее для всех процессов состояние "ведра" каждого портала:
+ * { counter, lastUpdate, blockUntil }. Очередь запросов и минимальный интервал
+ * между ними остаются в памяти процесса, а объем ведра расходуется совместно.
+ *
+ * Контракт адаптера:
+ * - update(domain, updater) атомарно читает состояние портала (null, если его нет),
+ *   вызывает синхронную функцию updater(state) и сохраняет возвращенное состояние.
+ *   Если updater вернул null, состояние удаляется. Метод возвращает сохраненное состояние.
+ *   Между чтением и записью никто не должен изменить состояние портала; при оптимистичной
+ *   блокировке (например, WATCH/MULTI в Redis) updater можно вызвать повторно.
+ * - get(domain) возвращает состояние портала или null.
+ * - delete(domain) удаляет состояние портала.
+ *
+ * @class LimiterStore
+ * @since 0.6.0
+ * @example
+ * // Адаптер Redis (ioredis) на оптимистичной блокировке
+ * class RedisLimiterStore extends LimiterStore {
+ *   constructor(redis) { super(); this.redis = redis; }
+ *   async get(domain) { return JSON.parse(await this.redis.get(`b24:limit:${domain}`)); }
+ *   async delete(domain) { await this.redis.del(`b24:limit:${domain}`); return true; }
+ *   async update(domain, updater) {
+ *     const key = `b24:limit:${domain}`;
+ *     for (;;) {
+ *       await this.redis.watch(key);
+ *       const state = updater(JSON.parse(await this.redis.get(key)));
+ *       const tx = this.redis.multi();
+ *       if (state) tx.set(key, JSON.stringify(state), 'EX', 3600); else tx.del(key);
+ *       if (await tx.exec()) return state;
+ *     }
+ *   }
+ * }
+ */
+class LimiterStore {
+  /**
+   * Получает состояние портала
+   * @abstract
+   * @param {string} domain - Домен портала
+   * @returns {Promise<{counter: number, lastUpdate: number, blockUntil: number}|null>} Состояние или null
+   */
+  async get() {
+    throw new Error(`${this.constructor.name} должен реализовать метод get`);
+  }
+
+  /**
+   * Атомарно изменяет состояние портала
+   * @abstract
+   * @param {string} domain - Домен портала
+   * @param {Function} updater - Синхронная функция (state|null) => state|null
+   * @returns {Promise<Object|null>} Сохраненное состояние
+   */
+  async update() {
+    throw new Error(`${this.constructor.name} должен реализовать метод update`);
+  }
+
+  /**
+   * Удаляет состояние портала
+   * @abstract
+   * @param {string} domain - Домен портала
+   * @returns {Promise<boolean>} true, если состояние было удалено
+   */
+  async delete() {
+    throw new Error(`${this.constructor.name} должен реализовать метод delete`);
+  }
+}
+
+module.exports = LimiterStore;
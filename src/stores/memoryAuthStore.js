@@ -0,0 +1,109 @@
+const AuthStore = require('./authStore');
+
+/**
+ * Хранилище авторизаций в памяти процесса
+ *
+ * Подходит для тестов и приложений с одним процессом, где авторизации
+ * загружаются при старте. Записи копируются при чтении и записи, поэтому
+ * изменение возвращенного объекта не меняет хранилище.
+ *
+ * @class MemoryAuthStore
+ * @extends AuthStore
+ * @since 0.6.0
+ * @example
+ * const store = new MemoryAuthStore();
+ * const client = new Bitrix24Client({ client_id, client_secret, authStore: store });
+ */
+class MemoryAuthStore extends AuthStore {
+  /**
+   * Записи авторизаций по member_id
+   * @private
+   * @type {Map<string, Object>}
+   */
+  #records = new Map();
+
+  /**
+   * Индекс member_id по домену
+   * @private
+   * @type {Map<string, string>}
+   */
+  #domains = new Map();
+
+  /**
+   * @param {Object[]} [initial=[]] - Авторизации, загружаемые в хранилище при создании
+   */
+  constructor(initial = []) {
+    super();
+    for (const auth of initial) {
+      this.#write(auth);
+    }
+  }
+
+  /**
+   * Находит ключ записи по member_id или домену
+   * @private
+   * @param {Object|string} query - Параметры поиска
+   * @returns {string|undefined} Ключ записи
+   */
+  #findKey(query) {
+    const { member_id, domain } = AuthStore.normalizeQuery(query);
+    if (member_id && this.#records.has(member_id)) return member_id;
+    if (domain) return this.#domains.get(domain);
+    return undefined;
+  }
+
+  /**
+   * Записывает авторизацию и обновляет индекс доменов
+   * @private
+   * @param {Object} auth - Данные авторизации
+   */
+  #write(auth) {
+    const key = AuthStore.getKey(auth);
+
+    // Запись могла быть сохранена по домену до получения member_id
+    let previous = this.#records.get(key);
+    if (!previous && auth.domain && auth.domain !== key) {
+      previous = this.#records.get(auth.domain);
+      this.#records.delete(auth.domain);
+    }
+
+    const record = structuredClone({ ...previous, ...auth });
+
+    // Портал сменил адрес
+    if (previous?.domain && previous.domain !== record.domain && this.#domains.get(previous.domain) === key) {
+      this.#domains.delete(previous.domain);
+    }
+
+    this.#records.set(key, record);
+    if (record.domain) this.#domains.set(record.domain, key);
+  }
+
+  async get(query) {
+    const key = this.#findKey(query);
+    const record = key && this.#records.get(key);
+    return record ? structuredClone(record) : null;
+  }
+
+  async set(auth) {
+    this.#write(auth);
+    return true;
+  }
+
+  async delete(query) {
+    const key = this.#findKey(query);
+    const record = key && this.#records.get(key);
+    if (!record) return false;
+
+    this.#records.delete(key);
+    if (record.domain && this.#domains.get(record.domain) === key) {
+      this.#domains.delete(record.domain);
+    }
+    return true;
+  }
+
+  async list() {
+    return [...this.#records.values()].map((record) => structuredClone(record));
+  }
+}
+
+module.exports = MemoryAuthStore;
@@ -0,0 +1,42 @@
+const LimiterStore = require('./limiterStore');
+
+/**
+ * Хранилище состояния лимитера в памяти процесса
+ *
+ * Используется лимитером по умолчанию. Состояние не разделяется между процессами.
+ *
+ * @class MemoryLimiterStore
+ * @extends LimiterStore
+ * @since 0.6.0
+ */
+class MemoryLimiterStore extends LimiterStore {
+  /**
+   * Состояния порталов по домену
+   * @private
+   * @type {Map<string, Object>}
+   */
+  #states = new Map();
+
+  async get(domain) {
+    const state = this.#states.get(domain);
+    return state ? { ...state } : null;
+  }
+
+  async update(domain, updater) {
+    const current = this.#states.get(domain);
+    const state = updater(current ? { ...current } : null);
+
+    if (state) {
+      this.#states.set(domain, { ...state });
+    } else {
+      this.#states.delete(domain);
+    }
+    return state;
+  }
+
+  async delete(domain) {
+    return this.#states.delete(domain);
+  }
+}
+
+module.exports = MemoryLimiterStore;
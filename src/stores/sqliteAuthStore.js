@@ -0,0 +1,174 @@
+const AuthStore = require('./authStore');
+
+/**
+ * Загружает встроенный модуль node:sqlite
+ * @returns {Object} Модуль node:sqlite
+ * @throws {Error} Если версия Node.js не поддерживает node:sqlite
+ */
+function loadSqlite() {
+  try {
+    // eslint-disable-next-line n/no-missing-require
+    return require('node:sqlite');
+  } catch (err) {
+    throw new Error(`SqliteAuthStore требует Node.js с модулем node:sqlite (22.5+): ${err.message}`, { cause: err });
+  }
+}
+
+/**
+ * Хранилище авторизаций в SQLite через встроенный модуль node:sqlite
+ *
+ * Авторизации хранятся в таблице (member_id, domain, data, updated_at) с индексом
+ * по домену. Изменения выполняются в транзакции BEGIN IMMEDIATE, поэтому файл базы
+ * можно использовать из нескольких процессов. Дополнительных зависимостей не требуется.
+ *
+ * @class SqliteAuthStore
+ * @extends AuthStore
+ * @since 0.6.0
+ * @example
+ * const store = new SqliteAuthStore({ path: './data/auth.sqlite' });
+ * const client = new Bitrix24Client({ client_id, client_secret, authStore: store });
+ */
+class SqliteAuthStore extends AuthStore {
+  /**
+   * Соединение с базой
+   * @private
+   * @type {DatabaseSync}
+   */
+  #db;
+
+  /**
+   * Подготовленные запросы
+   * @private
+   * @type {Object}
+   */
+  #statements;
+
+  /**
+   * Соединение открыто хранилищем и закрывается методом close
+   * @private
+   * @type {boolean}
+   */
+  #ownsDatabase = false;
+
+  /**
+   * @param {Object} [options={}] - Настройки хранилища
+   * @param {string} [options.path=':memory:'] - Путь к файлу базы
+   * @param {DatabaseSync} [options.database] - Уже открытое соединение node:sqlite вместо path
+   * @param {string} [options.table='b24_auth'] - Имя таблицы
+   * @param {number} [options.busyTimeout=5000] - Время ожидания блокировки базы другим процессом (мс)
+   */
+  constructor(options = {}) {
+    super();
+
+    const table = options.table || 'b24_auth';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Недопустимое имя таблицы: ${table}`);
+    }
+
+    if (options.database) {
+      this.#db = options.database;
+    } else {
+      const { DatabaseSync } = loadSqlite();
+      this.#db = new DatabaseSync(options.path || ':memory:');
+      this.#ownsDatabase = true;
+    }
+
+    this.#db.exec(`PRAGMA busy_timeout = ${parseInt(options.busyTimeout, 10) || 5000}`);
+    this.#db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        member_id TEXT PRIMARY KEY,
+        domain TEXT,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_domain ON ${table} (domain);
+    `);
+
+    this.#statements = {
+      byKey: this.#db.prepare(`SELECT member_id, data FROM ${table} WHERE member_id = ?`),
+      byDomain: this.#db.prepare(`SELECT member_id, data FROM ${table} WHERE domain = ? ORDER BY updated_at DESC LIMIT 1`),
+      upsert: this.#db.prepare(`
+        INSERT INTO ${table} (member_id, domain, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (member_id) DO UPDATE SET domain = excluded.domain, data = excluded.data, updated_at = excluded.updated_at
+      `),
+      delete: this.#db.prepare(`DELETE FROM ${table} WHERE member_id = ?`),
+      list: this.#db.prepare(`SELECT data FROM ${table} ORDER BY member_id`),
+    };
+  }
+
+  /**
+   * Находит строку по member_id или домену
+   * @private
+   * @param {Object|string} query - Параметры поиска
+   * @returns {Object|undefined} Строка таблицы
+   */
+  #findRow(query) {
+    const { member_id, domain } = AuthStore.normalizeQuery(query);
+    return (member_id && this.#statements.byKey.get(member_id)) || (domain && this.#statements.byDomain.get(domain)) || undefined;
+  }
+
+  /**
+   * Выполняет изменение в транзакции
+   * @private
+   * @param {Function} operation - Изменение () => any
+   * @returns {any} Результат изменения
+   */
+  #transaction(operation) {
+    this.#db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = operation();
+      this.#db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      this.#db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  async get(query) {
+    const row = this.#findRow(query);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async set(auth) {
+    const key = AuthStore.getKey(auth);
+
+    return this.#transaction(() => {
+      // Запись могла быть сохранена по домену до получения member_id
+      let previous = this.#statements.byKey.get(key);
+      if (!previous && auth.domain && auth.domain !== key) {
+        previous = this.#statements.byKey.get(auth.domain);
+        if (previous) this.#statements.delete.run(auth.domain);
+      }
+
+      const record = { ...(previous ? JSON.parse(previous.data) : {}), ...auth };
+      this.#statements.upsert.run(key, record.domain || null, JSON.stringify(record), Date.now());
+      return true;
+    });
+  }
+
+  async delete(query) {
+    return this.#transaction(() => {
+      const row = this.#findRow(query);
+      if (!row) return false;
+
+      this.#statements.delete.run(row.member_id);
+      return true;
+    });
+  }
+
+  async list() {
+    return this.#statements.list.all().map((row) => JSON.parse(row.data));
+  }
+
+  /**
+   * Закрывает соединение с базой, если оно было открыто хранилищем
+   */
+  close() {
+    if (this.#ownsDatabase) {
+      this.#db.close();
+    }
+  }
+}
+
+module.exports = SqliteAuthStore;
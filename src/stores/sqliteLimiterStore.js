@@ -0,0 +1,127 @@
+const LimiterStore = require('./limiterStore');
+
+/**
+ * Загружает встроенный модуль node:sqlite
+ * @returns {Object} Модуль node:sqlite
+ * @throws {Error} Если версия Node.js не поддерживает node:sqlite
+ */
+function loadSqlite() {
+  try {
+    // eslint-disable-next-line n/no-missing-require
+    return require('node:sqlite');
+  } catch (err) {
+    throw new Error(`SqliteLimiterStore требует Node.js с модулем node:sqlite (22.5+): ${err.message}`, { cause: err });
+  }
+}
+
+/**
+ * Хранилище состояния лимитера в SQLite через встроенный модуль node:sqlite
+ *
+ * Изменения выполняются в транзакции BEGIN IMMEDIATE, поэтому один файл базы
+ * могут использовать несколько процессов на одном сервере.
+ *
+ * @class SqliteLimiterStore
+ * @extends LimiterStore
+ * @since 0.6.0
+ * @example
+ * const limiter = new RequestLimiter({ store: new SqliteLimiterStore({ path: './data/limiter.sqlite' }) });
+ */
+class SqliteLimiterStore extends LimiterStore {
+  /**
+   * Соединение с базой
+   * @private
+   * @type {DatabaseSync}
+   */
+  #db;
+
+  /**
+   * Подготовленные запросы
+   * @private
+   * @type {Object}
+   */
+  #statements;
+
+  /**
+   * Соединение открыто хранилищем и закрывается методом close
+   * @private
+   * @type {boolean}
+   */
+  #ownsDatabase = false;
+
+  /**
+   * @param {Object} options - Настройки хранилища
+   * @param {string} [options.path] - Путь к файлу базы
+   * @param {DatabaseSync} [options.database] - Уже открытое соединение node:sqlite вместо path
+   * @param {string} [options.table='b24_limiter'] - Имя таблицы
+   * @param {number} [options.busyTimeout=2000] - Время ожидания блокировки базы другим процессом (мс)
+   */
+  constructor(options = {}) {
+    super();
+
+    const table = options.table || 'b24_limiter';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Недопустимое имя таблицы: ${table}`);
+    }
+
+    if (options.database) {
+      this.#db = options.database;
+    } else {
+      if (!options.path) {
+        throw new Error('Не указан путь к базе лимитера path');
+      }
+      const { DatabaseSync } = loadSqlite();
+      this.#db = new DatabaseSync(options.path);
+      this.#ownsDatabase = true;
+    }
+
+    this.#db.exec(`PRAGMA busy_timeout = ${parseInt(options.busyTimeout, 10) || 2000}`);
+    this.#db.exec(`CREATE TABLE IF NOT EXISTS ${table} (domain TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+
+    this.#statements = {
+      get: this.#db.prepare(`SELECT data FROM ${table} WHERE domain = ?`),
+      upsert: this.#db.prepare(
+        `INSERT INTO ${table} (domain, data) VALUES (?, ?) ON CONFLICT (domain) DO UPDATE SET data = excluded.data`
+      ),
+      delete: this.#db.prepare(`DELETE FROM ${table} WHERE domain = ?`),
+    };
+  }
+
+  async get(domain) {
+    const row = this.#statements.get.get(domain);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async update(domain, updater) {
+    this.#db.exec('BEGIN IMMEDIATE');
+    try {
+      const row = this.#statements.get.get(domain);
+      const state = updater(row ? JSON.parse(row.data) : null);
+
+      if (state) {
+        this.#statements.upsert.run(domain, JSON.stringify(state));
+      } else {
+        this.#statements.delete.run(domain);
+      }
+      this.#db.exec('COMMIT');
+      return state;
+    } catch (err) {
+      this.#db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  async delete(domain) {
+    return this.#statements.delete.run(domain).changes > 0;
+  }
+
+  /**
+   * Закрывает соединение с базой, если оно было открыто хранилищем
+   */
+  close() {
+    if (this.#ownsDatabase) {
+      this.#db.close();
+    }
+  }
+}
+
+module.exports = SqliteLimiterStore;
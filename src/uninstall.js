@@ -0,0 +1,129 @@
+const { parseEvent, verifyEvent } = require('./event');
+
+/**
+ * Удаляет приложение Bitrix24 по событию ONAPPUNINSTALL.
+ * @param {string|Buffer|URLSearchParams|Object} request - Тело запроса события удаления.
+ * @param {Function} deleteAuthFunction - Функция удаления авторизации портала (auth, clean).
+ * @param {Object} options - Дополнительные опции
+ * @param {Function} options.readAuthFunction - Функция чтения сохраненной авторизации для проверки application_token
+ * @param {Object} [options.limiter] - Лимитер запросов, состояние портала в котором нужно очистить
+ * @param {Object} options.logger - Логгер
+ * @returns {Promise<Object>} Результат удаления приложения.
+ */
+
+// Константы для типов событий
+const EVENT_TYPES = {
+  APP_UNINSTALL: 'ONAPPUNINSTALL'
+};
+
+async function uninstallApp(request, deleteAuthFunction, options = {}) {
+  const logger = options.logger || console;
+
+  let event;
+  const logContext = {
+    domain: 'unknown',
+    apiMethod: 'uninstallApp',
+  };
+
+  try {
+    // Валидация входных параметров
+    if (typeof deleteAuthFunction !== 'function') {
+      throw new Error('Параметр deleteAuthFunction должен быть функцией');
+    }
+
+    if (typeof options.readAuthFunction !== 'function') {
+      throw new Error('Параметр readAuthFunction должен быть функцией');
+    }
+
+    event = parseEvent(request);
+    logContext.domain = event.domain || 'unknown';
+
+    const result = {
+      uninstall: false,
+      clean: false,
+      domain: event.domain,
+      member_id: event.member_id,
+    };
+
+    if (event.event !== EVENT_TYPES.APP_UNINSTALL) {
+      logger.warn('Удаление не выполнено: событие не является ONAPPUNINSTALL', {
+        ...logContext,
+        event: event.event,
+      });
+      result.description = `Удаление не выполнено: получено событие ${event.event}`;
+      return result;
+    }
+
+    // Проверяем, что событие отправлено порталом, на котором установлено приложение
+    const storedAuth = await options.readAuthFunction({ domain: event.domain, member_id: event.member_id });
+    const verifyError = verifyEvent(event, storedAuth);
+    if (verifyError) {
+      logger.warn('Удаление не выполнено: application_token не прошел проверку', {
+        ...logContext,
+        description: verifyError.error_description,
+      });
+      return {
+        error: 'uninstall_error',
+        error_code: verifyError.error,
+        description: verifyError.error_description,
+        context: verifyError.context,
+      };
+    }
+
+    // CLEAN=1 означает, что пользователь выбрал удаление данных приложения
+    result.clean = String(event.data.CLEAN) === '1';
+
+    logger.info('Начало удаления приложения', {
+      ...logContext,
+      clean: result.clean,
+    });
+
+    const auth = {
+      domain: event.domain,
+      member_id: event.member_id,
+      application_token: event.auth.application_token,
+    };
+    result.uninstall = Boolean(await deleteAuthFunction(auth, result.clean));
+
+    // Сбрасываем накопленное состояние лимитера удаленного портала
+    if (options.limiter && event.domain) {
+      options.limiter.clearPortal(event.domain);
+    }
+
+    logger.info('Приложение удалено', {
+      ...logContext,
+      success: result.uninstall,
+      clean: result.clean,
+    });
+    return result;
+
+  } catch (err) {
+    logger.error('Ошибка при удалении приложения', {
+      ...logContext,
+      error_name: err.name,
+      error_message: err.message,
+      error_stack: err.stack,
+      error: err
+    });
+    return {
+      error: 'uninstall_error',
+      error_code: getErrorCode(err),
+      description: `${err.name}: ${err.message}`,
+      context: {
+        event: event?.event,
+        domain: event?.domain,
+        member_id: event?.member_id,
+      },
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+    };
+  }
+}
+
+// Вспомогательная функция для определения кодов ошибок
+function getErrorCode(error) {
+  if (error.message.includes('события')) return 'event_error';
+  if (error.message.includes('функцией')) return 'function_error';
+  return 'unknown_error';
+}
+
+module.exports = uninstallApp;
@@ -0,0 +1,79 @@
+/**
+ * Тестовый портал Bitrix24 на MockAgent undici
+ *
+ * Позволяет проверять повторы, обновление токена и режим вебхука без запросов
+ * к реальному порталу: ответы формирует обработчик теста, а все вызовы
+ * записываются в calls.
+ */
+
+const path = require('path');
+const { MockAgent } = require('undici');
+
+const OAUTH_ORIGIN = 'https://oauth.bitrix24.tech';
+
+/**
+ * Создает тестовый портал
+ * @param {Function} handler - Обработчик ({ method, path, body, query }) => { status, body, headers, delay },
+ * где method - метод API ('user.current', 'oauth.token'), delay - задержка ответа (мс)
+ * @param {Object} [options={}] - Настройки портала
+ * @param {string} [options.domain='mock.bitrix24.ru'] - Домен портала
+ * @returns {Object} Портал: agent, domain, webhook, calls, count(method), auth(overrides), createClient(api, options)
+ */
+function createMockPortal(handler, options = {}) {
+  const domain = options.domain || 'mock.bitrix24.ru';
+  const agent = new MockAgent();
+  agent.disableNetConnect();
+
+  const calls = [];
+  const reply = (request) => {
+    const url = new URL(request.path, request.origin);
+    const method = url.origin === OAUTH_ORIGIN ? 'oauth.token' : path.basename(url.pathname, '.json');
+    const body = new URLSearchParams(request.body ? String(request.body) : '');
+    const call = { method, path: url.pathname, body, query: url.searchParams };
+    calls.push(call);
+
+    const response = handler(call) || {};
+    const data = JSON.stringify(response.body ?? {});
+    return {
+      statusCode: response.status || 200,
+      data: response.delay ? () => new Promise((resolve) => setTimeout(resolve, response.delay, data)) : data,
+      responseOptions: { headers: { 'content-type': 'application/json', ...response.headers } },
+    };
+  };
+
+  for (const origin of [`https://${domain}`, OAUTH_ORIGIN]) {
+    agent
+      .get(origin)
+      .intercept({ path: () => true, method: () => true })
+      .reply(reply)
+      .persist();
+  }
+
+  return {
+    agent,
+    domain,
+    webhook: `https://${domain}/rest/1/secret/`,
+    calls,
+    count: (method) => calls.filter((call) => call.method === method).length,
+    auth: (overrides = {}) => ({
+      domain,
+      member_id: 'mock-member',
+      access_token: 'access-1',
+      refresh_token: 'refresh-1',
+      client_endpoint: `https://${domain}/rest/`,
+      expires: Math.floor(Date.now() / 1000) + 3600,
+      ...overrides,
+    }),
+    createClient: (api, clientOptions = {}) =>
+      new api.Bitrix24Client({
+        agent,
+        logger: new api.Logger({ enabled: false }),
+        client_id: 'app.mock',
+        client_secret: 'secret',
+        requestOptions: { tryes: 3, pause: 10 },
+        ...clientOptions,
+      }),
+  };
+}
+
+module.exports = { createMockPortal };
@@ -0,0 +1,102 @@
+/**
+ * Тесты для метода batch
+ */
+
+const { createMockPortal } = require('../mock-portal');
+
+module.exports = {
+  // Тест выполнения именованных команд
+  'должен выполнить именованные команды в одном запросе': async (api, auth, assert) => {
+    const result = await api.batch({
+      current: { method: 'user.current' },
+      fields: { method: 'crm.deal.fields' },
+    }, auth);
+
+    assert.ok(result.result, 'Отсутствует поле result в ответе');
+    assert.ok(result.result.result.current.ID, 'Отсутствует ID текущего пользователя');
+    assert.ok(result.result.result.fields.ID, 'Отсутствует описание поля ID сделки');
+  },
+
+  // Тест ссылок между командами
+  'должен подставлять результат предыдущей команды': async (api, auth, assert) => {
+    const result = await api.batch({
+      current: { method: 'user.current' },
+      user: { method: 'user.get', params: { ID: '$result[current][ID]' } },
+    }, auth, { halt: true });
+
+    assert.ok(Array.isArray(result.result.result.user), 'Результат user.get не является массивом');
+    assert.strictEqual(
+      result.result.result.user[0].ID,
+      result.result.result.current.ID,
+      'Ссылка $result[current][ID] не была разрешена'
+    );
+  },
+
+  // Тест разбиения на пакеты и ссылок между пакетами
+  'должен разбивать более 50 команд на пакеты': async (api, auth, assert) => {
+    const commands = Array.from({ length: 60 }, () => ({ method: 'user.current' }));
+    commands.push({ method: 'user.get', params: { ID: '$result[0][ID]' } });
+
+    const result = await api.batch(commands, auth);
+
+    assert.ok(Array.isArray(result.result.result), 'Для массива команд результат должен быть массивом');
+    assert.strictEqual(result.result.result.length, 61, 'Количество результатов не совпадает с количеством команд');
+    assert.ok(result.result.result.every(Boolean), 'Не все команды вернули результат');
+    assert.strictEqual(result.result.result[60][0].ID, result.result.result[0].ID, 'Ссылка между пакетами не разрешена');
+  },
+
+  // Тест ошибок отдельных команд
+  'должен возвращать ошибки команд в result_error': async (api, auth, assert) => {
+    const result = await api.batch({
+      current: { method: 'user.current' },
+      broken: { method: 'non.existent.method' },
+    }, auth);
+
+    assert.ok(result.result.result.current, 'Отсутствует результат успешной команды');
+    assert.ok(result.result.result_error.broken, 'Отсутствует ошибка несуществующего метода');
+  },
+
+  // Тест сохранения результатов выполненных пакетов при ошибке следующего
+  'должен возвращать результаты выполненных пакетов при ошибке следующего': async (api, auth, assert) => {
+    let batches = 0;
+    const portal = createMockPortal(({ body }) => {
+      batches++;
+      if (batches > 1) return { status: 500, body: { error: 'INTERNAL_SERVER_ERROR' } };
+
+      const names = [...body.keys()].map((key) => /^cmd\[(.+)\]$/.exec(key)?.[1]).filter(Boolean);
+      const result = Object.fromEntries(names.map((name) => [name, 1000 + Number(name)]));
+      return { body: { result: { result }, time: { start: 1, finish: 2, duration: 0.5, processing: 0.4 } } };
+    });
+    const client = portal.createClient(api, { webhook: portal.webhook });
+
+    const commands = Array.from({ length: 60 }, (_, index) => ({
+      method: 'crm.deal.add',
+      params: { fields: { TITLE: `Сделка ${index}` } },
+    }));
+    const response = await client.batch(commands, null, { tryes: 1 });
+
+    assert.strictEqual(response.error, 'server_error', `Неожиданная ошибка: ${response.error}`);
+    assert.strictEqual(response.failedChunk, 1, 'Неверный номер пакета с ошибкой');
+    const pending = Array.from({ length: 10 }, (_, index) => String(50 + index));
+    assert.deepStrictEqual(response.failedCommands, pending, 'Неверный список невыполненных команд');
+    assert.strictEqual(response.result.result.length, 60, 'Результат не соответствует командам');
+    assert.strictEqual(response.result.result[49], 1049, 'Потерян ID из выполненного пакета');
+    assert.strictEqual(response.result.result[50], undefined, 'Результат невыполненной команды');
+    assert.strictEqual(response.time.duration, 0.5, 'Неверное время выполненных пакетов');
+  },
+
+  // Тест суммарного времени пакетов
+  'должен суммировать time всех пакетов': async (api, auth, assert) => {
+    const portal = createMockPortal(() => ({
+      body: { result: { result: {} }, time: { start: 1, finish: 2, duration: 0.5, processing: 0.25 } },
+    }));
+    const client = portal.createClient(api, { webhook: portal.webhook });
+
+    const commands = Array.from({ length: 120 }, () => ({ method: 'user.current' }));
+    const response = await client.batch(commands, null);
+
+    assert.strictEqual(portal.count('batch'), 3, 'Команды не разбиты на три пакета');
+    assert.strictEqual(response.time.duration, 1.5, 'duration не суммирован');
+    assert.strictEqual(response.time.processing, 0.75, 'processing не суммирован');
+  },
+};
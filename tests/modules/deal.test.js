@@ -3,6 +3,8 @@
  * Тесты API для работы со сделками (crm.deal)
  */
 
+const { createMockPortal } = require('../mock-portal');
+
 module.exports = {
   // Тест на получение списка сделок
   'должен получить список сделок': async (api, auth, assert) => {
@@ -135,6 +137,64 @@ module.exports = {
     global.testContactForDealId = contactId;
   },
 
+  // Тест на создание сделки с защитой от дубликатов
+  'должен создать сделку с поиском дубликата по маркеру': async (api, auth, assert) => {
+    const marker = `test-${Date.now()}`;
+    const fields = { TITLE: `Тестовая сделка ${marker}`, ORIGIN_ID: marker };
+
+    const result = await api.call('crm.deal.add', { fields }, auth, { dedupe: { field: 'ORIGIN_ID' } });
+    assert.ok(result.result > 0, 'Не получен ID созданной сделки');
+    assert.ok(!result.deduplicated, 'Сделка без сбоя не должна считаться дубликатом');
+
+    const found = await api.call('crm.deal.list', { filter: { ORIGIN_ID: marker }, select: ['ID'] }, auth);
+    assert.equal(found.result.length, 1, 'Сделка с маркером должна быть одна');
+
+    await api.call('crm.deal.delete', { id: result.result }, auth);
+  },
+
+  // Тест числа запросов создания с dedupe
+  'должен отправлять не больше tryes запросов создания с dedupe': async (api, auth, assert) => {
+    let attempt = 0;
+    const portal = createMockPortal(({ method }) => {
+      if (method === 'crm.deal.list') return { body: { result: [] } };
+      // Временная ошибка сервера, затем таймаут ответа, после которого сделка могла быть создана
+      return ++attempt % 2 ? { status: 503, body: {} } : { delay: 200, body: { result: 1 } };
+    });
+    const client = portal.createClient(api, { webhook: portal.webhook });
+
+    const result = await client.call('crm.deal.add', { fields: { TITLE: 'Сделка', ORIGIN_ID: 'order-1' } }, null, {
+      dedupe: { field: 'ORIGIN_ID' },
+      abortTimeout: 50,
+    });
+
+    assert.ok(result.error, 'Ожидалась ошибка создания');
+    assert.strictEqual(portal.count('crm.deal.add'), 3, `Запросов создания: ${portal.count('crm.deal.add')}`);
+    assert.strictEqual(portal.count('crm.deal.list'), 2, 'Поиск созданной сделки выполнен не после каждого сбоя');
+  },
+
+  // Тест поиска элемента после ответа 5xx
+  'должен находить элемент, созданный запросом с ответом 502': async (api, auth, assert) => {
+    const portal = createMockPortal(({ method, body }) => {
+      if (method === 'crm.item.list') {
+        return body.get('entityTypeId') === '1036'
+          ? { body: { result: { items: [{ id: 15 }] } } }
+          : { status: 400, body: { error: 'NOT_FOUND', error_description: 'entityTypeId не передан' } };
+      }
+      return { status: 502, body: {} };
+    });
+    const client = portal.createClient(api, { webhook: portal.webhook });
+
+    const result = await client.call(
+      'crm.item.add',
+      { entityTypeId: 1036, fields: { title: 'Элемент', xmlId: 'order-2' } },
+      null,
+      { dedupe: { field: 'xmlId' } }
+    );
+
+    assert.deepStrictEqual(result, { result: 15, deduplicated: true }, `Элемент не найден: ${JSON.stringify(result)}`);
+    assert.strictEqual(portal.count('crm.item.add'), 1, 'Создание повторено, хотя элемент найден');
+  },
+
   // Тест на удаление сделки и очистку
   'должен удалить сделку и связанные данные': async (api, auth, assert) => {
     const dealId = global.testDealId;
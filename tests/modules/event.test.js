@@ -75,5 +75,37 @@ module.exports = {
     }, auth);
     
     assert.ok(unbindResult.result.count >= 1, 'Ожидалось, что count будет 1 или больше');
+  },
+
+  // Тест разбора тела входящего события
+  'должен разобрать тело входящего события': async (api, auth, assert) => {
+    const event = api.parseEvent(
+      'event=ONCRMDEALADD&data[FIELDS][ID]=5&ts=1700000000' +
+      `&auth[domain]=${auth.domain}&auth[member_id]=${auth.member_id}&auth[application_token]=token`
+    );
+
+    assert.strictEqual(event.event, 'ONCRMDEALADD', 'Неверное имя события');
+    assert.deepStrictEqual(event.data, { FIELDS: { ID: '5' } }, 'Данные события разобраны неверно');
+    assert.strictEqual(event.ts, 1700000000, 'Время события не приведено к числу');
+    assert.strictEqual(event.domain, auth.domain, 'Неверный домен портала');
+    assert.strictEqual(event.member_id, auth.member_id, 'Неверный member_id');
+  },
+
+  // Тест проверки application_token события
+  'должен проверить application_token события': async (api, auth, assert) => {
+    const body = {
+      event: 'ONCRMDEALADD',
+      'data[FIELDS][ID]': '5',
+      'auth[domain]': auth.domain,
+      'auth[member_id]': auth.member_id,
+      'auth[application_token]': auth.application_token,
+    };
+
+    const verified = await api.verifyEvent(body);
+    assert.ok(!verified.error, 'Событие с верным токеном не прошло проверку');
+    assert.strictEqual(verified.event, 'ONCRMDEALADD', 'Неверное имя события');
+
+    const forged = await api.verifyEvent({ ...body, 'auth[application_token]': 'forged' });
+    assert.strictEqual(forged.error, 'invalid_application_token', 'Событие с чужим токеном прошло проверку');
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,242 @@
+/**
+ * Тесты обработчиков эндпоинтов приложения (install, events, placement)
+ */
+
+const http = require('http');
+const { fetch } = require('undici');
+const { createMockPortal } = require('../mock-portal');
+const uninstallApp = require('../../src/uninstall');
+
+const APPLICATION_TOKEN = 'app-token';
+
+/**
+ * Запускает node:http сервер с обработчиками клиента на свободном порту
+ * @param {Object} client - Экземпляр Bitrix24Client
+ * @param {Object} [options={}] - Настройки обработчиков, см. createMiddleware
+ * @returns {Promise<{url: string, close: Function}>} Адрес сервера и функция его остановки
+ */
+async function startServer(client, options = {}) {
+  const server = http.createServer(client.createMiddleware(options));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Отправляет форму на эндпоинт обработчика
+ * @param {string} url - URL эндпоинта
+ * @param {Object<string, string>|string} form - Поля формы или готовое тело
+ * @returns {Promise<{status: number, body: string}>} Ответ
+ */
+async function postForm(url, form) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: typeof form === 'string' ? form : new URLSearchParams(form).toString(),
+  });
+  return { status: response.status, body: await response.text() };
+}
+
+/**
+ * Создает клиент с шифрованием токенов и сохраненной авторизацией портала
+ * @param {Object} api - Модуль Bitrix24API
+ * @returns {Promise<{portal: Object, client: Object}>} Тестовый портал и клиент
+ */
+async function createInstalledClient(api) {
+  const portal = createMockPortal(({ method }) =>
+    method === 'user.current' ? { body: { result: { ID: '1', NAME: 'Тест' } } } : { status: 404, body: {} }
+  );
+  const client = portal.createClient(api, {
+    authStore: new api.MemoryAuthStore(),
+    encryption: { keys: { k1: Buffer.alloc(32, 1) }, keyId: 'k1' },
+  });
+  await client.installApp({
+    event: 'ONAPPINSTALL',
+    auth: portal.auth({ application_token: APPLICATION_TOKEN }),
+  });
+  return { portal, client };
+}
+
+/**
+ * Формирует тело события портала
+ * @param {Object} portal - Тестовый портал
+ * @param {string} event - Имя события
+ * @param {string} [applicationToken] - application_token события
+ * @returns {Object<string, string>} Поля формы
+ */
+function eventForm(portal, event, applicationToken = APPLICATION_TOKEN) {
+  return {
+    event,
+    'data[FIELDS][ID]': '5',
+    ts: String(Math.floor(Date.now() / 1000)),
+    'auth[domain]': portal.domain,
+    'auth[member_id]': 'mock-member',
+    'auth[application_token]': applicationToken,
+  };
+}
+
+module.exports = {
+  // Тест установки приложения без интерфейса
+  'должен устанавливать приложение по ONAPPINSTALL': async (api, auth, assert) => {
+    const portal = createMockPortal(() => ({ body: {} }));
+    const client = portal.createClient(api, { authStore: new api.MemoryAuthStore() });
+    const server = await startServer(client);
+
+    try {
+      const response = await postForm(`${server.url}/install`, {
+        event: 'ONAPPINSTALL',
+        'auth[access_token]': 'access-1',
+        'auth[refresh_token]': 'refresh-1',
+        'auth[domain]': portal.domain,
+        'auth[client_endpoint]': `https://${portal.domain}/rest/`,
+        'auth[member_id]': 'mock-member',
+        'auth[application_token]': APPLICATION_TOKEN,
+      });
+
+      assert.strictEqual(response.status, 200, `Неожиданный ответ: ${response.status} ${response.body}`);
+      const stored = await client.config.readAuth({ domain: portal.domain });
+      assert.strictEqual(stored?.access_token, 'access-1', 'Авторизация не сохранена');
+    } finally {
+      await server.close();
+    }
+  },
+
+  // Тест установки приложения с интерфейсом
+  'должен возвращать страницу installFinish при установке с интерфейсом': async (api, auth, assert) => {
+    const portal = createMockPortal(() => ({ body: {} }));
+    const client = portal.createClient(api, { authStore: new api.MemoryAuthStore() });
+    const server = await startServer(client);
+
+    try {
+      const response = await postForm(`${server.url}/install?DOMAIN=${portal.domain}&PROTOCOL=1`, {
+        AUTH_ID: 'access-1',
+        REFRESH_ID: 'refresh-1',
+        member_id: 'mock-member',
+        PLACEMENT: 'DEFAULT',
+      });
+
+      assert.strictEqual(response.status, 200, `Неожиданный ответ: ${response.status} ${response.body}`);
+      assert.ok(response.body.includes('BX24.installFinish'), 'Нет вызова BX24.installFinish');
+    } finally {
+      await server.close();
+    }
+  },
+
+  // Тест входящего события
+  'должен вызывать обработчик события с проверенным application_token': async (api, auth, assert) => {
+    const { portal, client } = await createInstalledClient(api);
+    const received = [];
+    const server = await startServer(client, { events: { ONCRMDEALADD: async (event) => received.push(event) } });
+
+    try {
+      const response = await postForm(`${server.url}/events`, eventForm(portal, 'ONCRMDEALADD'));
+
+      assert.strictEqual(response.status, 200, `Неожиданный ответ: ${response.status} ${response.body}`);
+      assert.strictEqual(received.length, 1, 'Обработчик события не вызван');
+      assert.strictEqual(received[0].data.FIELDS.ID, '5', 'Данные события не разобраны');
+    } finally {
+      await server.close();
+    }
+  },
+
+  // Тест события с чужим application_token
+  'должен отклонять событие с неверным application_token': async (api, auth, assert) => {
+    const { portal, client } = await createInstalledClient(api);
+    const received = [];
+    const server = await startServer(client, { events: { '*': async (event) => received.push(event) } });
+
+    try {
+      const response = await postForm(`${server.url}/events`, eventForm(portal, 'ONCRMDEALADD', 'wrong-token'));
+      assert.strictEqual(response.status, 401, `Неожиданный ответ: ${response.status} ${response.body}`);
+
+      const uninstall = await postForm(`${server.url}/events`, eventForm(portal, 'ONAPPUNINSTALL', 'wrong-token'));
+      assert.strictEqual(uninstall.status, 401, `Неожиданный ответ на удаление: ${uninstall.status}`);
+      assert.ok(await client.config.readAuth({ domain: portal.domain }), 'Авторизация удалена по чужому событию');
+
+      assert.strictEqual(received.length, 0, 'Обработчик вызван для непроверенного события');
+    } finally {
+      await server.close();
+    }
+  },
+
+  // Тест открытия размещения
+  'должен передавать размещение обработчику onPlacement': async (api, auth, assert) => {
+    const { portal, client } = await createInstalledClient(api);
+    const server = await startServer(client, {
+      onPlacement: async ({ placement, options, user }) => `<h1>${placement}: ${options.ID}, ${user.NAME}</h1>`,
+    });
+
+    try {
+      const response = await postForm(`${server.url}/placement?DOMAIN=${portal.domain}&LANG=ru`, {
+        AUTH_ID: 'user-access',
+        REFRESH_ID: 'user-refresh',
+        member_id: 'mock-member',
+        PLACEMENT: 'CRM_DEAL_DETAIL_TAB',
+        PLACEMENT_OPTIONS: JSON.stringify({ ID: '5' }),
+      });
+
+      assert.strictEqual(response.status, 200, `Неожиданный ответ: ${response.status} ${response.body}`);
+      assert.strictEqual(response.body, '<h1>CRM_DEAL_DETAIL_TAB: 5, Тест</h1>');
+      assert.strictEqual(portal.count('user.current'), 1, 'Токен пользователя не проверен');
+
+      const foreign = await postForm(`${server.url}/placement?DOMAIN=${portal.domain}`, {
+        AUTH_ID: 'user-access',
+        member_id: 'other-member',
+        PLACEMENT: 'CRM_DEAL_DETAIL_TAB',
+      });
+      assert.strictEqual(foreign.status, 401, `Размещение с чужого портала принято: ${foreign.status}`);
+    } finally {
+      await server.close();
+    }
+  },
+
+  // Тест ограничения размера тела запроса
+  'должен отклонять тело запроса больше 1 МБ': async (api, auth, assert) => {
+    const { portal, client } = await createInstalledClient(api);
+    const received = [];
+    const server = await startServer(client, { events: { '*': async (event) => received.push(event) } });
+
+    try {
+      const form = new URLSearchParams(eventForm(portal, 'ONCRMDEALADD'));
+      form.set('data[FIELDS][TITLE]', 'x'.repeat(1024 * 1024));
+      const response = await postForm(`${server.url}/events`, form.toString());
+
+      assert.strictEqual(response.status, 400, `Неожиданный ответ: ${response.status}`);
+      assert.ok(response.body.includes('invalid_body'), 'Нет кода ошибки invalid_body');
+      assert.strictEqual(received.length, 0, 'Обработчик вызван для слишком большого тела');
+    } finally {
+      await server.close();
+    }
+  },
+
+  // Тест удаления приложения
+  'должен удалять авторизацию и состояние лимитера по ONAPPUNINSTALL': async (api, auth, assert) => {
+    const { portal, client } = await createInstalledClient(api);
+    await client.call('user.current', {}, { domain: portal.domain });
+    assert.ok(client.limiter.getStats(portal.domain), 'Лимитер не обращался к порталу');
+
+    const result = await client.uninstallApp(
+      new URLSearchParams({ ...eventForm(portal, 'ONAPPUNINSTALL'), 'data[CLEAN]': '1' })
+    );
+
+    assert.strictEqual(result.uninstall, true, `Приложение не удалено: ${JSON.stringify(result)}`);
+    assert.strictEqual(result.clean, true, 'Флаг CLEAN не передан');
+    assert.ok(!(await client.config.readAuth({ domain: portal.domain })), 'Авторизация не удалена');
+    assert.strictEqual(client.limiter.getStats(portal.domain), null, 'Состояние лимитера не очищено');
+  },
+
+  // Тест кодов ошибок удаления
+  'должен возвращать код ошибки удаления': async (api, auth, assert) => {
+    const { client } = await createInstalledClient(api);
+
+    const eventError = await client.uninstallApp('');
+    assert.strictEqual(eventError.error_code, 'event_error', `Неожиданный результат: ${JSON.stringify(eventError)}`);
+
+    const logger = new api.Logger({ enabled: false });
+    const functionError = await uninstallApp(new URLSearchParams({ event: 'ONAPPUNINSTALL' }), null, { logger });
+    assert.strictEqual(functionError.error_code, 'function_error', `Неожиданный код: ${functionError.error_code}`);
+  },
+};
@@ -5,6 +5,7 @@
  */
 
 const { memoryUsage } = require('node:process');
+const { createMockPortal } = require('../mock-portal');
 
 // Функция для получения использования памяти в МБ
 function getMemoryUsage() {
@@ -421,4 +422,286 @@ module.exports = {
       'Потребление памяти выросло более чем в два раза - возможна утечка'
     );
   },
+
+  // Тест лимита времени выполнения методов по блоку time ответа
+  'должен учитывать время выполнения метода и OPERATION_TIME_LIMIT': async (api, auth, assert) => {
+    const limiter = new api.RequestLimiter({ minRequestInterval: 1 });
+
+    // Реальный ответ портала содержит блок time
+    const result = await api.call('user.current', {}, auth);
+    assert.ok(result.time && 'operating' in result.time, 'Ответ не содержит time.operating');
+
+    // Метод близок к лимиту 480 секунд: следующий вызов притормаживается
+    const resetAt = Date.now() / 1000 + 1;
+    await limiter.handleSuccess(auth.domain, 'crm.deal.list', {
+      time: { operating: 470, operating_reset_at: resetAt },
+    });
+    assert.ok(limiter.getPortalState(auth.domain).methods['crm.deal.list'], 'Метод не учтен');
+
+    // Блокировка метода не задерживает другие методы портала
+    await limiter.handleResponse(
+      auth.domain,
+      { error: 'OPERATION_TIME_LIMIT', time: { operating_reset_at: resetAt } },
+      'crm.deal.list'
+    );
+    const startTime = Date.now();
+    const order = [];
+    await Promise.all([
+      limiter.throttle(auth.domain, 'crm.deal.list').then(() => order.push('crm.deal.list')),
+      limiter.throttle(auth.domain, 'user.current').then(() => order.push('user.current')),
+    ]);
+
+    assert.deepStrictEqual(order, ['user.current', 'crm.deal.list'], 'Заблокированный метод задержал очередь');
+    assert.ok(Date.now() - startTime >= 500, 'Метод выполнен до operating_reset_at');
+  },
+
+  // Тест профилей лимитера по тарифу портала
+  'должен определять профиль лимитера по тарифу портала': async (api, auth, assert) => {
+    const profile = await api.detectLimiterProfile(auth);
+    assert.ok(['standard', 'enterprise'].includes(profile), `Неожиданный профиль: ${profile}`);
+
+    const { maxBucket, leakRate } = api.defaultClient.limiter.getPortalProfile(auth.domain);
+    assert.deepStrictEqual({ maxBucket, leakRate }, api.RequestLimiter.PROFILES[profile], 'Профиль не применен');
+  },
+
+  // Тест адаптивного режима лимитера
+  'должен снижать скорость после QUERY_LIMIT_EXCEEDED в адаптивном режиме': async (api, auth, assert) => {
+    const limiter = new api.RequestLimiter({ profile: 'enterprise', adaptive: true });
+
+    await limiter.handleResponse(auth.domain, { error: 'QUERY_LIMIT_EXCEEDED' }, 'user.current');
+    assert.strictEqual(limiter.getPortalState(auth.domain).rate, 2.5, 'Скорость не снижена');
+
+    // Блокировка рассчитана по новой скорости, а не по maxBlockTime
+    const { blockUntil } = limiter.getPortalState(auth.domain);
+    assert.ok(blockUntil - Date.now() <= 400, 'Блокировка не соответствует скорости');
+
+    await limiter.throttle(auth.domain, 'user.current');
+    assert.ok(limiter.getPortalState(auth.domain).rate > 2.5, 'Скорость не восстанавливается');
+  },
+  // Тест полос приоритета в очереди портала
+  'должен обслуживать high раньше bulk, не останавливая bulk': async (api, auth, assert) => {
+    const limiter = new api.RequestLimiter({ maxBucket: 1, leakRate: 20, minRequestInterval: 1 });
+    const order = [];
+    const run = (priority) =>
+      limiter.throttle(auth.domain, 'user.current', { priority }).then(() => order.push(priority));
+
+    // Фоновая выгрузка заняла очередь раньше срочных запросов
+    const tasks = [];
+    for (let i = 0; i < 5; i++) tasks.push(run('bulk'));
+    for (let i = 0; i < 10; i++) tasks.push(run('high'));
+    await Promise.all(tasks);
+
+    assert.ok(order.lastIndexOf('high') < order.lastIndexOf('bulk'), 'Срочные запросы не обогнали фоновые');
+    assert.ok(order.slice(0, order.lastIndexOf('high')).includes('bulk'), 'Полоса bulk остановлена полностью');
+
+    assert.throws(() => limiter.throttle(auth.domain, 'user.current', { priority: 'urgent' }), /приоритет/);
+  },
+
+  // Тест ограничения очереди портала
+  'должен отклонять запросы сверх maxQueueLength и maxQueueWait': async (api, auth, assert) => {
+    const saturated = [];
+    const limiter = new api.RequestLimiter({
+      maxBucket: 1,
+      leakRate: 2,
+      minRequestInterval: 1,
+      maxQueueLength: 3,
+      maxQueueWait: 800,
+      onSaturated: ({ reason }) => saturated.push(reason),
+    });
+
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(
+        limiter
+          .throttle(auth.domain, 'user.current')
+          .then(() => 'ok')
+          .catch((error) => error.code)
+      );
+    }
+
+    // Первый запрос проходит сразу, второй ждет утечки ведра 500ms, третий - дольше maxQueueWait
+    const expected = ['ok', 'ok', 'queue_timeout', 'queue_overflow', 'queue_overflow'];
+    assert.deepStrictEqual(await Promise.all(results), expected);
+    assert.deepStrictEqual(saturated.sort(), ['queue_overflow', 'queue_overflow', 'queue_timeout']);
+    assert.strictEqual(limiter.getPortalState(auth.domain).queue.length, 0, 'Отклоненный запрос остался в очереди');
+  },
+
+  // Тест статистики и событий лимитера
+  'должен возвращать статистику и события блокировки портала': async (api, auth, assert) => {
+    const limiter = new api.RequestLimiter({ maxBlockTime: 300, minRequestInterval: 1 });
+    const events = [];
+    limiter.on('blocked', (event) => events.push(['blocked', event.error]));
+    limiter.on('unblocked', () => events.push(['unblocked']));
+
+    assert.strictEqual(limiter.getStats(auth.domain), null, 'Статистика портала без запросов');
+
+    await limiter.handleResponse(auth.domain, { error: 'QUERY_LIMIT_EXCEEDED' }, 'user.current');
+    const blocked = limiter.getStats(auth.domain);
+    assert.ok(blocked.isBlocked && blocked.blockedUntil > Date.now(), 'Портал не заблокирован');
+    assert.strictEqual(blocked.limitHits, 1);
+
+    await limiter.throttle(auth.domain, 'user.current', { priority: 'high' });
+    const stats = limiter.getStats()[auth.domain];
+
+    assert.deepStrictEqual(events, [['blocked', 'QUERY_LIMIT_EXCEEDED'], ['unblocked']]);
+    assert.strictEqual(stats.isBlocked, false);
+    assert.strictEqual(stats.totalRequests, 1);
+    assert.ok(stats.averageQueueWait >= 250, 'Время ожидания в очереди не учтено');
+    assert.deepStrictEqual(stats.queueByPriority, { high: 0, normal: 0, bulk: 0 });
+  },
+
+  // Тест ограничения одновременных запросов
+  'должен ограничивать одновременные запросы и чередовать порталы': async (api, auth, assert) => {
+    const limiter = new api.RequestLimiter({ maxConcurrentPerPortal: 2, maxConcurrentGlobal: 2 });
+    const other = `other.${auth.domain}`;
+    const granted = [];
+
+    const first = await limiter.acquireSlot(auth.domain);
+    const second = await limiter.acquireSlot(auth.domain);
+    const waiting = [auth.domain, auth.domain, other].map((domain) =>
+      limiter.acquireSlot(domain).then((release) => {
+        granted.push(domain);
+        return release;
+      })
+    );
+
+    assert.strictEqual(limiter.getStats(auth.domain).inFlight, 2);
+    assert.strictEqual(limiter.getStats(auth.domain).queueLength, 2);
+
+    // Освободившийся общий слот получает портал, ожидающий дольше всех, затем другой портал
+    first();
+    first();
+    second();
+    const third = await waiting[0];
+    await waiting[2];
+    assert.deepStrictEqual(granted, [auth.domain, other], 'Слоты не чередуются между порталами');
+    assert.strictEqual(limiter.inFlight, 2, 'Повторное освобождение слота учтено дважды');
+
+    third();
+    (await waiting[1])();
+    (await waiting[2])();
+    assert.strictEqual(limiter.inFlight, 0);
+  },
+
+  // Тест Retry-After и отличия ошибок лимита от сбоев портала
+  'должен блокировать портал на время Retry-After': async (api, auth, assert) => {
+    const { isLimitError } = api.RequestLimiter;
+    assert.ok(isLimitError({ error: 'QUERY_LIMIT_EXCEEDED', status: 503 }), 'QUERY_LIMIT_EXCEEDED не распознан');
+    assert.ok(isLimitError({ status: 429 }), 'Статус 429 не распознан');
+    assert.ok(!isLimitError({ content: '<html>', format: 'html', status: 503 }), 'Сбой портала принят за лимит');
+
+    const limiter = new api.RequestLimiter({ maxBlockTime: 5000, minRequestInterval: 1 });
+    await limiter.handleResponse(auth.domain, { error: 'PORTAL_MAINTENANCE', status: 503 }, 'user.current');
+    assert.ok(!limiter.getStats(auth.domain)?.isBlocked, 'Портал заблокирован по ответу 503 без ошибки лимита');
+
+    await limiter.handleResponse(auth.domain, { status: 429, retryAfter: 500 }, 'user.current');
+    const { blockedUntil } = limiter.getStats(auth.domain);
+    assert.ok(blockedUntil - Date.now() <= 500, 'Блокировка не соответствует Retry-After');
+
+    const startTime = Date.now();
+    await limiter.throttle(auth.domain, 'user.current');
+    assert.ok(Date.now() - startTime >= 400, 'Запрос выполнен до окончания Retry-After');
+  },
+
+  // Тест автоматического выключателя портала
+  'должен размыкать выключатель после серии сбоев': async (api, auth, assert) => {
+    const limiter = api.configureLimiter({ circuitBreaker: { minimumRequests: 2, cooldown: 300 } });
+    const events = [];
+    const listeners = {
+      circuitOpen: () => events.push('open'),
+      circuitHalfOpen: () => events.push('half-open'),
+      circuitClosed: () => events.push('closed'),
+    };
+    for (const [event, listener] of Object.entries(listeners)) limiter.on(event, listener);
+
+    try {
+      limiter.recordResult(auth.domain, true);
+      limiter.recordResult(auth.domain, false);
+      assert.ok(limiter.isCircuitOpen(auth.domain), 'Выключатель не разомкнут при доле сбоев 0.5');
+
+      const result = await api.call('user.current', {}, auth);
+      assert.strictEqual(result.error, 'circuit_open', 'Запрос выполнен при разомкнутом выключателе');
+
+      await new Promise((resolve) => setTimeout(resolve, 350));
+      assert.strictEqual(limiter.allowRequest(auth.domain), true, 'Пробный запрос не пропущен');
+      assert.strictEqual(limiter.allowRequest(auth.domain), false, 'Пропущено больше пробных запросов');
+      limiter.recordResult(auth.domain, true);
+
+      assert.deepStrictEqual(events, ['open', 'half-open', 'closed']);
+      assert.strictEqual(limiter.circuitBreaker.getState(auth.domain).state, 'closed');
+    } finally {
+      for (const [event, listener] of Object.entries(listeners)) limiter.off(event, listener);
+      limiter.configure({ circuitBreaker: false });
+    }
+  },
+
+  // Тест выключателя для удаленного портала, отвечающего ошибкой 4xx
+  'должен размыкать выключатель после ответов PORTAL_DELETED': async (api, auth, assert) => {
+    const portal = createMockPortal(() => ({
+      status: 400,
+      body: { error: 'PORTAL_DELETED', error_description: 'Portal was deleted' },
+    }));
+    const limiter = new api.RequestLimiter({
+      circuitBreaker: { minimumRequests: 2, cooldown: 60000 },
+      logger: new api.Logger({ enabled: false }),
+    });
+    const client = portal.createClient(api, { webhook: portal.webhook, limiter });
+
+    for (let i = 0; i < 2; i++) {
+      const result = await client.call('user.current', {}, null);
+      assert.strictEqual(result.error_bitrix_name, 'PORTAL_DELETED', `Неожиданный результат: ${result.error}`);
+    }
+
+    assert.ok(limiter.isCircuitOpen(portal.domain), 'Выключатель не разомкнут после PORTAL_DELETED');
+    const result = await client.call('user.current', {}, null);
+    assert.strictEqual(result.error, 'circuit_open', 'Запрос выполнен при разомкнутом выключателе');
+    assert.strictEqual(portal.count('user.current'), 2, 'Запрос отправлен удаленному порталу');
+  },
+
+  // Тест отмены вызова, ожидающего в очереди лимитера
+  'должен прерывать ожидание в очереди лимитера по сигналу': async (api, auth, assert) => {
+    const portal = createMockPortal(() => ({ body: { result: true } }));
+    const client = portal.createClient(api, { webhook: portal.webhook });
+    await client.limiter.handleResponse(portal.domain, { status: 429, retryAfter: 3000 }, 'user.current');
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const startTime = Date.now();
+    const result = await client.call('user.current', {}, null, { signal: controller.signal });
+
+    assert.strictEqual(result.error, 'request_aborted', `Неожиданный результат: ${result.error}`);
+    assert.ok(Date.now() - startTime < 1000, 'Вызов ждал окончания блокировки портала');
+    assert.strictEqual(portal.count('user.current'), 0, 'Отмененный запрос отправлен порталу');
+  },
+
+  // Тест отмены вызова во время паузы между попытками
+  'должен прерывать паузу между попытками по сигналу': async (api, auth, assert) => {
+    const portal = createMockPortal(() => ({ status: 500, body: { error: 'INTERNAL_SERVER_ERROR' } }));
+    const client = portal.createClient(api, {
+      webhook: portal.webhook,
+      requestOptions: { tryes: 3, pause: 5000 },
+    });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 200);
+    const startTime = Date.now();
+    const result = await client.call('user.current', {}, null, { signal: controller.signal });
+
+    assert.strictEqual(result.error, 'request_aborted', `Неожиданный результат: ${result.error}`);
+    assert.ok(Date.now() - startTime < 1000, 'Вызов дождался окончания паузы');
+    assert.strictEqual(portal.count('user.current'), 1, 'Повтор выполнен после отмены');
+  },
+
+  // Тест отключения повторов параметром вызова
+  'должен отключать повторы параметром tryes: 1': async (api, auth, assert) => {
+    const portal = createMockPortal(() => ({ status: 500, body: { error: 'INTERNAL_SERVER_ERROR' } }));
+    const client = portal.createClient(api, { webhook: portal.webhook });
+
+    const single = await client.call('user.current', {}, null, { tryes: 1 });
+    assert.strictEqual(single.error, 'server_error', `Неожиданный результат: ${single.error}`);
+    assert.strictEqual(portal.count('user.current'), 1, 'Запрос повторен при tryes: 1');
+
+    await client.call('user.current', {}, null);
+    assert.strictEqual(portal.count('user.current'), 4, 'Настройка вызова изменила tryes клиента');
+  },
 };
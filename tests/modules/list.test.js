@@ -0,0 +1,109 @@
+/**
+ * Тесты постраничного получения списков
+ */
+
+const { createMockPortal } = require('../mock-portal');
+
+/**
+ * Создает тестовый портал со списком сделок и методом batch
+ * @param {number} count - Количество сделок (ID от 1 до count)
+ * @returns {Object} Тестовый портал, см. createMockPortal
+ */
+function createDealsPortal(count) {
+  const deals = Array.from({ length: count }, (_, index) => ({ ID: String(index + 1) }));
+
+  // Страница crm.deal.list: 50 записей с ID больше курсора, total - только при start >= 0
+  const listPage = (query) => {
+    const cursor = Number(query.get('filter[>ID]')) || 0;
+    const rest = deals.filter((deal) => Number(deal.ID) > cursor);
+    return { result: rest.slice(0, 50), ...(Number(query.get('start')) >= 0 ? { total: rest.length } : {}) };
+  };
+
+  return createMockPortal(({ method, body }) => {
+    if (method === 'crm.deal.list') return { body: listPage(body) };
+
+    // batch разрешает ссылки $result[name][index][ID] на результаты предыдущих команд
+    const result = {};
+    for (const [key, command] of body) {
+      const name = key.match(/^cmd\[(\w+)\]$/)?.[1];
+      if (!name) continue;
+      const query = new URLSearchParams(command.split('?')[1]);
+      const reference = query.get('filter[>ID]').match(/^\$result\[(\w+)\]\[(\d+)\]\[ID\]$/);
+      if (reference) query.set('filter[>ID]', result[reference[1]]?.[reference[2]]?.ID ?? '');
+      result[name] = listPage(query).result;
+    }
+    return { body: { result: { result, result_error: [], result_total: [], result_next: [], result_time: [] } } };
+  });
+}
+
+module.exports = {
+  // Тест обхода списка через асинхронный итератор
+  'должен обойти список пользователей через listAll': async (api, auth, assert) => {
+    const users = [];
+    for await (const user of api.listAll('user.get', { ACTIVE: true }, auth)) {
+      users.push(user);
+    }
+
+    assert.ok(users.length > 0, 'Список пользователей пуст');
+    assert.ok(users.every((user) => user.ID), 'Не у всех записей есть ID');
+  },
+
+  // Тест получения всех записей одним массивом
+  'должен вернуть все сделки через fetchAll': async (api, auth, assert) => {
+    const first = await api.call('crm.deal.list', { select: ['ID'] }, auth);
+    const deals = await api.fetchAll('crm.deal.list', { select: ['ID'] }, auth);
+
+    assert.ok(Array.isArray(deals), 'Результат не является массивом');
+    assert.strictEqual(deals.length, first.total, 'Количество записей не совпадает с total');
+    assert.strictEqual(new Set(deals.map((deal) => deal.ID)).size, deals.length, 'В списке есть повторяющиеся записи');
+  },
+
+  // Тест быстрого режима по курсору ID
+  'должен выгрузить те же сделки в быстром режиме': async (api, auth, assert) => {
+    const regular = await api.fetchAll('crm.deal.list', { select: ['ID'] }, auth);
+    const fast = await api.fetchAll('crm.deal.list', { select: ['ID'] }, auth, { fast: true, batchSize: 5 });
+
+    assert.strictEqual(fast.length, regular.length, 'Количество записей в быстром режиме не совпадает');
+    const ids = fast.map((deal) => Number(deal.ID));
+    assert.ok(ids.every((id, index) => index === 0 || id > ids[index - 1]), 'Записи не отсортированы по возрастанию ID');
+  },
+
+  // Тест несовместимой сортировки в быстром режиме
+  'должен отклонять order, отличный от ID по возрастанию, в быстром режиме': async (api, auth, assert) => {
+    await assert.rejects(
+      () => api.fetchAll('crm.deal.list', { order: { DATE_CREATE: 'DESC' } }, auth, { fast: true }),
+      /order не поддерживается/
+    );
+
+    const deals = await api.fetchAll('crm.deal.list', { order: { ID: 'asc' }, select: ['ID'] }, auth, { fast: true });
+    assert.ok(Array.isArray(deals), 'Сортировка по возрастанию ID отклонена');
+  },
+
+  // Тест методов с вложенным результатом
+  'должен разворачивать вложенный результат tasks.task.list': async (api, auth, assert) => {
+    const tasks = await api.fetchAll('tasks.task.list', { select: ['ID', 'TITLE'] }, auth);
+
+    assert.ok(Array.isArray(tasks), 'Результат не является массивом');
+    assert.ok(tasks.every((task) => task.id), 'Записи задач не развернуты из result.tasks');
+  },
+
+  // Тест ошибки списочного метода
+  'должен выбрасывать ошибку для несуществующего метода': async (api, auth, assert) => {
+    await assert.rejects(() => api.fetchAll('non.existent.list', {}, auth), /non\.existent\.list/);
+  },
+
+  // Тест размера последнего batch в быстром режиме
+  'не должен отправлять лишние команды в последнем batch быстрого режима': async (api, auth, assert) => {
+    const portal = createDealsPortal(120);
+    const client = portal.createClient(api, { webhook: portal.webhook });
+
+    const deals = await client.fetchAll('crm.deal.list', { select: ['ID'] }, null, { fast: true, batchSize: 10 });
+
+    assert.strictEqual(deals.length, 120, `Получено записей: ${deals.length}`);
+    assert.strictEqual(new Set(deals.map((deal) => deal.ID)).size, 120, 'В выгрузке есть повторяющиеся записи');
+
+    const batches = portal.calls.filter((call) => call.method === 'batch');
+    const commands = batches.map((call) => [...call.body.keys()].filter((key) => key.startsWith('cmd[')));
+    assert.deepStrictEqual(commands, [['cmd[page0]', 'cmd[page1]']], 'Лишние команды после неполной страницы');
+  },
+};
@@ -0,0 +1,83 @@
+/**
+ * Тесты политики повторных попыток
+ */
+
+const { createMockPortal } = require('../mock-portal');
+
+module.exports = {
+  // Тест ограничения паузы между попытками
+  'должен ограничивать паузу между попытками maxDelay': async (api, auth, assert) => {
+    for (const jitter of api.RetryPolicy.JITTER) {
+      const policy = new api.RetryPolicy({ jitter, maxDelay: 5000 });
+      let previousDelay;
+      for (let attempt = 1; attempt <= 30; attempt++) {
+        previousDelay = policy.getDelay(attempt, { pause: 1000, previousDelay });
+        assert.ok(previousDelay >= 0 && previousDelay <= 5000, `Пауза ${jitter} вне диапазона: ${previousDelay}`);
+      }
+    }
+
+    assert.strictEqual(new api.RetryPolicy({ jitter: 'none' }).getDelay(2, { pause: 1000 }), 4000);
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const delay = new api.RetryPolicy().getDelay(attempt, { pause: 1000 });
+      const exponential = 1000 * 2 ** attempt;
+      assert.ok(delay >= exponential && delay <= exponential * 1.3, `Пауза по умолчанию изменилась: ${delay}`);
+    }
+    assert.strictEqual(new api.RetryPolicy().getDelay(3, { pause: 0 }), 0, 'pause: 0 должна отключать паузы');
+    assert.throws(() => new api.RetryPolicy({ jitter: 'linear' }), /джиттера/);
+  },
+
+  // Тест общего срока вызова с учетом ожидания в лимитере
+  'должен прерывать вызов по истечении deadline': async (api, auth, assert) => {
+    const limiter = api.defaultClient.limiter;
+    await limiter.handleResponse(auth.domain, { status: 429, retryAfter: 3000 }, 'user.current');
+
+    try {
+      const startTime = Date.now();
+      const result = await api.call('user.current', {}, auth, { deadline: 300 });
+
+      assert.strictEqual(result.error, 'deadline_exceeded', 'Вызов не прерван по сроку');
+      assert.ok(Date.now() - startTime < 1000, 'Вызов ждал окончания блокировки портала');
+    } finally {
+      limiter.clearPortal(auth.domain);
+    }
+  },
+
+  // Тест срока вызова при обновлении токена
+  'должен учитывать время обновления токена в deadline': async (api, auth, assert) => {
+    const portal = createMockPortal(({ method, body }) => {
+      if (method === 'oauth.token') {
+        return {
+          delay: 1500,
+          body: {
+            access_token: 'access-2',
+            refresh_token: 'refresh-2',
+            expires_in: 3600,
+            client_endpoint: `https://${portal.domain}/rest/`,
+            member_id: 'mock-member',
+          },
+        };
+      }
+      return body.get('auth') === 'access-2'
+        ? { body: { result: { ID: '1' } } }
+        : { status: 401, body: { error: 'expired_token' } };
+    });
+    const client = portal.createClient(api, {
+      authStore: new api.MemoryAuthStore([portal.auth()]),
+      tokenRefreshMargin: null,
+    });
+
+    const startTime = Date.now();
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    const [result, aborted] = await Promise.all([
+      client.call('user.current', {}, { domain: portal.domain }, { deadline: 200 }),
+      client.call('user.current', {}, { domain: portal.domain }, { signal: controller.signal }),
+    ]);
+
+    assert.strictEqual(result?.error, 'deadline_exceeded', `Срок продлен обновлением: ${JSON.stringify(result)}`);
+    assert.ok(Date.now() - startTime < 1000, 'Вызов ждал ответа oauth.token после истечения срока');
+    assert.strictEqual(aborted?.error, 'request_aborted', `Ожидание обновления не отменено: ${aborted?.error}`);
+    assert.strictEqual(portal.count('oauth.token'), 1, 'Токен обновлялся несколько раз');
+    assert.ok(!portal.calls.some((call) => call.body.get('auth') === 'access-2'), 'Запрос повторен после срока');
+  },
+};
@@ -0,0 +1,157 @@
+/**
+ * Тесты встроенных хранилищ авторизаций
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { skipTest } = require('../test-helpers');
+
+// Хранилища SQLite используют встроенный модуль node:sqlite (Node.js 22.5+)
+function requireSqlite() {
+  try {
+    // eslint-disable-next-line n/no-missing-require
+    require('node:sqlite');
+  } catch {
+    skipTest(`node:sqlite недоступен в Node.js ${process.versions.node}, нужен Node.js 22.5+`);
+  }
+}
+
+// Общая проверка интерфейса get/set/delete/list для любого хранилища
+async function checkStore(store, auth, assert) {
+  await store.set(auth);
+
+  const byMember = await store.get({ member_id: auth.member_id });
+  const byDomain = await store.get({ domain: auth.domain });
+  assert.strictEqual(byMember.access_token, auth.access_token, 'Авторизация не найдена по member_id');
+  assert.strictEqual(byDomain.member_id, auth.member_id, 'Авторизация не найдена по домену');
+
+  // Ответ oauth.token не содержит application_token, он должен сохраниться
+  await store.set({ member_id: auth.member_id, domain: auth.domain, access_token: 'refreshed' });
+  const refreshed = await store.get(auth.member_id);
+  assert.strictEqual(refreshed.access_token, 'refreshed', 'Токен не обновлен');
+  assert.strictEqual(refreshed.application_token, auth.application_token, 'application_token потерян при обновлении');
+
+  assert.strictEqual((await store.list()).length, 1, 'Неверное количество записей');
+  assert.strictEqual(await store.delete({ domain: auth.domain }), true, 'Запись не удалена');
+  assert.strictEqual(await store.get({ member_id: auth.member_id }), null, 'Запись доступна после удаления');
+}
+
+// Общая проверка интерфейса get/update/delete хранилища лимитера
+async function checkLimiterStore(store, domain, assert) {
+  assert.strictEqual(await store.get(domain), null, 'Состояние существует до первого изменения');
+
+  await Promise.all(
+    Array.from({ length: 10 }, () =>
+      store.update(domain, (state) => ({ counter: (state?.counter || 0) + 1, lastUpdate: Date.now(), blockUntil: 0 }))
+    )
+  );
+  assert.strictEqual((await store.get(domain)).counter, 10, 'Часть изменений состояния потеряна');
+
+  await store.update(domain, () => null);
+  assert.strictEqual(await store.get(domain), null, 'Состояние не удалено при возврате null');
+
+  await store.update(domain, () => ({ counter: 1, lastUpdate: Date.now(), blockUntil: 0 }));
+  assert.strictEqual(await store.delete(domain), true, 'Состояние не удалено');
+}
+
+module.exports = {
+  // Тест хранилища в памяти
+  'должен сохранять авторизацию в MemoryAuthStore': async (api, auth, assert) => {
+    await checkStore(new api.MemoryAuthStore(), auth, assert);
+  },
+
+  // Тест хранилища в каталоге JSON-файлов
+  'должен сохранять авторизацию в FileAuthStore': async (api, auth, assert) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b24-auth-'));
+    try {
+      await checkStore(new api.FileAuthStore({ dir }), auth, assert);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  // Тест параллельной записи в один каталог из двух экземпляров хранилища
+  'не должен терять изменения при параллельной записи в FileAuthStore': async (api, auth, assert) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b24-auth-'));
+    try {
+      const stores = [new api.FileAuthStore({ dir }), new api.FileAuthStore({ dir })];
+      await Promise.all(
+        Array.from({ length: 20 }, (_, index) =>
+          stores[index % 2].set({ member_id: auth.member_id, domain: auth.domain, [`field${index}`]: index })
+        )
+      );
+
+      const record = await stores[0].get(auth.member_id);
+      const fields = Object.keys(record).filter((key) => key.startsWith('field'));
+      assert.strictEqual(fields.length, 20, 'Часть изменений потеряна');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  // Тест хранилища SQLite
+  'должен сохранять авторизацию в SqliteAuthStore': async (api, auth, assert) => {
+    requireSqlite();
+    const store = new api.SqliteAuthStore();
+
+    try {
+      await checkStore(store, auth, assert);
+    } finally {
+      store.close();
+    }
+  },
+
+  // Тест хранилищ состояния лимитера
+  'должен сохранять состояние лимитера в MemoryLimiterStore и FileLimiterStore': async (api, auth, assert) => {
+    await checkLimiterStore(new api.MemoryLimiterStore(), auth.domain, assert);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b24-limiter-'));
+    try {
+      await checkLimiterStore(new api.FileLimiterStore({ dir }), auth.domain, assert);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  // Тест хранилища состояния лимитера в SQLite
+  'должен сохранять состояние лимитера в SqliteLimiterStore': async (api, auth, assert) => {
+    requireSqlite();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b24-limiter-'));
+    const store = new api.SqliteLimiterStore({ path: path.join(dir, 'limiter.sqlite') });
+
+    try {
+      await checkLimiterStore(store, auth.domain, assert);
+    } finally {
+      store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  // Тест общего ведра для нескольких лимитеров с одним хранилищем
+  'должен расходовать общее ведро портала из нескольких лимитеров': async (api, auth, assert) => {
+    const store = new api.MemoryLimiterStore();
+    const options = { store, maxBucket: 5, leakRate: 1 };
+    const limiters = [new api.RequestLimiter(options), new api.RequestLimiter(options)];
+
+    await Promise.all(limiters.map((limiter) => limiter.throttle(auth.domain, 'user.current')));
+    const state = await store.get(auth.domain);
+    assert.ok(state.counter > 1, 'Лимитеры не разделяют состояние ведра');
+  },
+
+  // Тест шифрования токенов и ротации ключей
+  'должен шифровать токены с ротацией ключей': async (api, auth, assert) => {
+    const crypto = require('crypto');
+    const oldKeys = { v1: crypto.randomBytes(32) };
+    const newKeys = { ...oldKeys, v2: crypto.randomBytes(32).toString('hex') };
+
+    const encrypted = api.encryptAuth(auth, { keys: oldKeys, keyId: 'v1' });
+    assert.ok(encrypted.access_token.startsWith('enc:v1:v1:'), 'Токен не зашифрован');
+    assert.strictEqual(encrypted.domain, auth.domain, 'Открытые поля не должны шифроваться');
+
+    const rotated = api.reencryptAuth(encrypted, { keys: newKeys, keyId: 'v2' });
+    assert.ok(rotated.refresh_token.startsWith('enc:v1:v2:'), 'Токен не перешифрован новым ключом');
+    assert.strictEqual(api.decryptAuth(rotated, { keys: newKeys }).access_token, auth.access_token, 'Токен не расшифрован');
+    assert.throws(() => api.decryptAuth(rotated, { keys: oldKeys }), 'Ожидалась ошибка неизвестного ключа');
+  },
+};
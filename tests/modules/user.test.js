@@ -2,6 +2,9 @@
  * Базовые тесты API
  */
 
+const { getEventListeners } = require('events');
+const { createMockPortal } = require('../mock-portal');
+
 module.exports = {
   // Тест аутентификации и получения текущего пользователя
   'должен получить текущего пользователя': async (api, auth, assert) => {
@@ -15,5 +18,195 @@ module.exports = {
   'должен обрабатывать ошибки несуществующих методов': async (api, auth, assert) => {
     const result = await api.call('non.existent.method', {}, auth);
     assert.ok(result.error, 'Ожидалась ошибка, но поле error отсутствует');
-  }
+  },
+
+  // Тест режима исключений
+  'должен выбрасывать MethodNotFoundError в режиме throwOnError': async (api, auth, assert) => {
+    api.config.throwOnError = true;
+    try {
+      await assert.rejects(() => api.call('non.existent.method', {}, auth), (error) => {
+        assert.ok(error instanceof api.MethodNotFoundError, `Неожиданный класс ошибки: ${error.name}`);
+        assert.ok(error instanceof api.Bitrix24Error, 'Ошибка не наследуется от Bitrix24Error');
+        assert.strictEqual(error.method, 'non.existent.method', 'Не указан метод API');
+        assert.ok(error.requestId, 'Не указан идентификатор запроса');
+        return true;
+      });
+    } finally {
+      api.config.throwOnError = false;
+    }
+  },
+
+  // Тест освобождения сигнала отмены после завершения вызовов
+  'не должен накапливать обработчики на общем сигнале отмены': async (api, auth, assert) => {
+    const controller = new AbortController();
+
+    for (let i = 0; i < 20; i++) {
+      const result = await api.call('user.current', {}, auth, { signal: controller.signal, deadline: 30000 });
+      assert.ok(result.result, `Вызов ${i + 1} завершился ошибкой: ${result.error}`);
+    }
+
+    const listeners = getEventListeners(controller.signal, 'abort');
+    assert.strictEqual(listeners.length, 0, `На сигнале остались обработчики: ${listeners.length}`);
+  },
+
+  // Тест класса ошибки для недоступного портала
+  'должен выбрасывать ServerError, а не RateLimitError для 503': async (api, auth, assert) => {
+    const portal = createMockPortal(({ method }) =>
+      method === 'user.current'
+        ? { status: 503, body: { error: 'PORTAL_MAINTENANCE', error_description: 'Портал на обслуживании' } }
+        : { status: 503, body: {} }
+    );
+    const client = portal.createClient(api, { webhook: portal.webhook, throwOnError: true });
+
+    for (const method of ['user.current', 'profile']) {
+      await assert.rejects(() => client.call(method, {}, null, { tryes: 1 }), (error) => {
+        assert.ok(error instanceof api.ServerError, `Неожиданный класс ошибки ${method}: ${error.name}`);
+        assert.ok(!(error instanceof api.RateLimitError), 'Ошибка 503 считается превышением лимита');
+        assert.strictEqual(error.status, 503);
+        return true;
+      });
+    }
+  },
+
+  // Тест единственного обновления токена для параллельных вызовов
+  'должен обновлять токен один раз для параллельных вызовов': async (api, auth, assert) => {
+    const portal = createMockPortal(({ method, body }) => {
+      if (method === 'oauth.token') {
+        return {
+          delay: 100,
+          body: {
+            access_token: 'access-2',
+            refresh_token: 'refresh-2',
+            expires_in: 3600,
+            client_endpoint: `https://${portal.domain}/rest/`,
+            member_id: 'mock-member',
+          },
+        };
+      }
+      return body.get('auth') === 'access-2'
+        ? { body: { result: { ID: '1' } } }
+        : { status: 401, body: { error: 'expired_token' } };
+    });
+    const authStore = new api.MemoryAuthStore([portal.auth()]);
+    const client = portal.createClient(api, { authStore, tokenRefreshMargin: null });
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => client.call('user.current', {}, { domain: portal.domain }))
+    );
+
+    assert.ok(results.every((result) => result.result?.ID === '1'), 'Не все вызовы выполнены с новым токеном');
+    assert.strictEqual(portal.count('oauth.token'), 1, 'Токен обновлялся несколько раз');
+    assert.strictEqual((await authStore.get({ domain: portal.domain })).access_token, 'access-2');
+  },
+
+  // Тест ошибки при неудачном обновлении токена
+  'должен возвращать refresh_failed, если обновить токен не удалось': async (api, auth, assert) => {
+    const portal = createMockPortal(({ method }) =>
+      method === 'oauth.token'
+        ? { status: 400, body: { error: 'invalid_grant', error_description: 'Invalid refresh token' } }
+        : { status: 401, body: { error: 'expired_token' } }
+    );
+    const client = portal.createClient(api, { authStore: new api.MemoryAuthStore([portal.auth()]) });
+
+    const result = await client.call('user.current', {}, { domain: portal.domain });
+    assert.strictEqual(result?.error, 'refresh_failed', `Неожиданный результат: ${JSON.stringify(result)}`);
+    assert.ok(result.error_description, 'Нет описания ошибки');
+
+    client.config.throwOnError = true;
+    await assert.rejects(() => client.call('user.current', {}, { domain: portal.domain }), (error) => {
+      assert.ok(error instanceof api.AuthError, `Неожиданный класс ошибки: ${error.name}`);
+      assert.strictEqual(error.code, 'refresh_failed');
+      return true;
+    });
+  },
+
+  // Тест режима входящего вебхука
+  'должен выполнять вызовы через вебхук без OAuth': async (api, auth, assert) => {
+    let attempt = 0;
+    const portal = createMockPortal(() =>
+      ++attempt === 1 ? { status: 503, body: {} } : { body: { result: { ID: '1' } } }
+    );
+    const lines = [];
+    const output = Object.fromEntries(
+      ['debug', 'info', 'warn', 'error'].map((level) => [level, (...args) => lines.push(JSON.stringify(args))])
+    );
+    const client = portal.createClient(api, {
+      webhook: portal.webhook,
+      client_id: undefined,
+      client_secret: undefined,
+      logger: new api.Logger({ level: 'debug', logger: output }),
+    });
+
+    const result = await client.call('user.current');
+
+    assert.strictEqual(result.result?.ID, '1', `Неожиданный результат: ${JSON.stringify(result)}`);
+    assert.strictEqual(portal.count('user.current'), 2, 'Запрос через вебхук не повторен после 503');
+    assert.strictEqual(portal.count('oauth.token'), 0, 'В режиме вебхука выполнен запрос oauth.token');
+    assert.strictEqual(portal.calls[0].path, '/rest/1/secret/user.current.json', 'Запрос отправлен не на вебхук');
+    assert.ok(!portal.calls[0].body.has('auth'), 'В запрос через вебхук передан параметр auth');
+    assert.ok(client.limiter.getStats(portal.domain), 'Запрос через вебхук прошел мимо лимитера');
+
+    assert.ok(
+      lines.some((line) => line.includes('/rest/1/[REDACTED]/')),
+      'URL вебхука не залогирован с замаскированным секретом'
+    );
+    assert.ok(!lines.some((line) => line.includes('/rest/1/secret/')), 'Секрет вебхука попал в лог');
+  },
+
+  // Тест обновления токена до истечения
+  'должен обновлять токен заранее перед истечением': async (api, auth, assert) => {
+    const portal = createMockPortal(({ method, body }) => {
+      if (method === 'oauth.token') {
+        return {
+          body: {
+            access_token: 'access-2',
+            refresh_token: 'refresh-2',
+            expires_in: 3600,
+            client_endpoint: `https://${portal.domain}/rest/`,
+            member_id: 'mock-member',
+          },
+        };
+      }
+      return body.get('auth') === 'access-2'
+        ? { body: { result: { ID: '1' } } }
+        : { status: 401, body: { error: 'expired_token' } };
+    });
+    const authStore = new api.MemoryAuthStore([portal.auth({ expires: Math.floor(Date.now() / 1000) + 30 })]);
+    const client = portal.createClient(api, { authStore, tokenRefreshMargin: 60 });
+
+    const result = await client.call('user.current', {}, { domain: portal.domain });
+
+    assert.strictEqual(result.result?.ID, '1', `Неожиданный результат: ${JSON.stringify(result)}`);
+    assert.deepStrictEqual(
+      portal.calls.map((call) => call.method),
+      ['oauth.token', 'user.current'],
+      'Токен не обновлен до запроса'
+    );
+    assert.strictEqual((await authStore.get({ domain: portal.domain })).access_token, 'access-2');
+  },
+
+  // Тест неудачного обновления токена до истечения
+  'должен возвращать expired_token, если не удалось заранее обновить истекший токен': async (api, auth, assert) => {
+    const portal = createMockPortal(({ method }) =>
+      method === 'oauth.token'
+        ? { status: 400, body: { error: 'invalid_grant', error_description: 'Invalid refresh token' } }
+        : { body: { result: { ID: '1' } } }
+    );
+    const now = Math.floor(Date.now() / 1000);
+
+    // Токен еще действует: вызов выполняется с ним
+    const expiring = portal.createClient(api, {
+      authStore: new api.MemoryAuthStore([portal.auth({ expires: now + 30 })]),
+    });
+    const result = await expiring.call('user.current', {}, { domain: portal.domain });
+    assert.strictEqual(result.result?.ID, '1', `Вызов с действующим токеном не выполнен: ${JSON.stringify(result)}`);
+
+    // Токен уже истек: запрос к порталу не отправляется
+    const expired = portal.createClient(api, {
+      authStore: new api.MemoryAuthStore([portal.auth({ expires: now - 10 })]),
+    });
+    const error = await expired.call('user.current', {}, { domain: portal.domain });
+    assert.strictEqual(error?.error, 'expired_token', `Неожиданный результат: ${JSON.stringify(error)}`);
+    assert.strictEqual(portal.count('user.current'), 1, 'Запрос отправлен с истекшим токеном');
+  },
 };
@@ -45,13 +45,27 @@ function logHeader(message) {
   console.log(`${colors.magenta}${'='.repeat(message.length)}${colors.reset}`);
 }
 
+/**
+ * Ошибка пропуска теста, недоступного в текущем окружении
+ */
+class SkipTestError extends Error {}
+
+/**
+ * Пропускает тест с указанием причины
+ * @param {string} reason - Причина пропуска
+ * @throws {SkipTestError} Всегда
+ */
+function skipTest(reason) {
+  throw new SkipTestError(reason);
+}
+
 /**
  * Запускает отдельный тест и обрабатывает результаты
  * @param {string} testName - Название теста
  * @param {Function} testFn - Функция теста
  * @param {Object} api - Экземпляр Bitrix24API
  * @param {Object} auth - Данные авторизации
- * @returns {boolean} Результат теста (true - успех, false - провал)
+ * @returns {boolean|null} Результат теста (true - успех, false - провал, null - пропущен)
  */
 async function runSingleTest(testName, testFn, api, auth) {
   process.stdout.write(`  Тест: ${testName} ... `);
@@ -63,6 +77,11 @@ async function runSingleTest(testName, testFn, api, auth) {
     console.log(`${colors.green}✓ OK${colors.reset} (${duration}ms)`);
     return true;
   } catch (error) {
+    if (error instanceof SkipTestError) {
+      console.log(`${colors.yellow}- SKIP${colors.reset} ${error.message}`);
+      return null;
+    }
+
     const duration = Date.now() - startTime;
     console.log(`${colors.red}✗ FAIL${colors.reset} (${duration}ms)`);
     console.log(`    ${colors.red}${error.message}${colors.reset}`);
@@ -81,5 +100,6 @@ module.exports = {
   logSuccess,
   logError,
   logHeader,
-  runSingleTest
+  runSingleTest,
+  skipTest
 };
\ No newline at end of file
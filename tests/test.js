@@ -90,7 +90,7 @@ async function runTests() {
       for (const testName of testsToRun) {
         stats.total++;
         const testResult = await runSingleTest(testName, moduleTests[testName], Bitrix24API, auth);
-        stats[testResult ? 'passed' : 'failed']++;
+        stats[testResult === null ? 'skipped' : testResult ? 'passed' : 'failed']++;
       }
       
       // Пропускаем тесты, которые не соответствуют фильтру
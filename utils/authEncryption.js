@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+/**
+ * Префикс зашифрованного значения: enc:v1:<keyId>:<iv>:<tag>:<ciphertext>
+ * @type {string}
+ */
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Поля авторизации, которые шифруются по умолчанию
+ * @type {string[]}
+ */
+const DEFAULT_ENCRYPTED_FIELDS = ['access_token', 'refresh_token', 'application_token', 'client_secret', 'C_REST_CLIENT_SECRET'];
+
+/**
+ * Приводит ключ шифрования к Buffer длиной 32 байта
+ * @param {Buffer|string} key - Ключ: Buffer, строка hex (64 символа) или base64
+ * @param {string} keyId - Идентификатор ключа для сообщения об ошибке
+ * @returns {Buffer} Ключ AES-256
+ * @throws {Error} Если длина ключа не 32 байта
+ */
+function toKeyBuffer(key, keyId) {
+  let buffer;
+  if (Buffer.isBuffer(key)) {
+    buffer = key;
+  } else if (typeof key === 'string' && /^[0-9a-fA-F]{64}$/.test(key)) {
+    buffer = Buffer.from(key, 'hex');
+  } else if (typeof key === 'string') {
+    buffer = Buffer.from(key, 'base64');
+  }
+
+  if (!buffer || buffer.length !== 32) {
+    throw new Error(`Ключ шифрования ${keyId} должен содержать 32 байта (Buffer, hex или base64)`);
+  }
+  return buffer;
+}
+
+/**
+ * Проверяет настройки шифрования и возвращает текущий ключ
+ * @param {Object} encryption - Настройки шифрования
+ * @returns {{keyId: string, key: Buffer}} Текущий ключ
+ * @throws {Error} Если текущий ключ не задан
+ */
+function getCurrentKey(encryption) {
+  const { keyId, keys = {} } = encryption;
+  if (!keyId || !keys[keyId]) {
+    throw new Error(`Текущий ключ шифрования ${keyId} не найден в encryption.keys`);
+  }
+  if (String(keyId).includes(':')) {
+    throw new Error('Идентификатор ключа шифрования не должен содержать ":"');
+  }
+  return { keyId: String(keyId), key: toKeyBuffer(keys[keyId], keyId) };
+}
+
+/**
+ * Проверяет, является ли значение зашифрованным
+ * @param {any} value - Значение поля авторизации
+ * @returns {boolean} true, если значение зашифровано encryptValue
+ */
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Шифрует строку AES-256-GCM текущим ключом
+ * @param {string} value - Открытое значение
+ * @param {Object} encryption - Настройки шифрования { keyId, keys }
+ * @returns {string} Значение вида enc:v1:<keyId>:<iv>:<tag>:<ciphertext>
+ */
+function encryptValue(value, encryption) {
+  const { keyId, key } = getCurrentKey(encryption);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${ENCRYPTED_PREFIX}${keyId}:${[iv, tag, ciphertext].map((part) => part.toString('base64url')).join(':')}`;
+}
+
+/**
+ * Расшифровывает значение ключом, идентификатор которого сохранен рядом с шифротекстом
+ * @param {string} value - Зашифрованное значение
+ * @param {Object} encryption - Настройки шифрования { keys }
+ * @returns {string} Открытое значение
+ * @throws {Error} Если ключ не найден или данные повреждены
+ */
+function decryptValue(value, encryption) {
+  const [keyId, iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const rawKey = encryption.keys?.[keyId];
+  if (!rawKey) {
+    throw new Error(`Ключ шифрования ${keyId} не найден в encryption.keys`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', toKeyBuffer(rawKey, keyId), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Шифрует чувствительные поля авторизации перед сохранением
+ *
+ * Уже зашифрованные значения не шифруются повторно.
+ *
+ * @param {Object} auth - Данные авторизации
+ * @param {Object|null} encryption - Настройки шифрования (null - без шифрования)
+ * @param {Object<string, Buffer|string>} encryption.keys - Ключи AES-256 по идентификаторам
+ * @param {string} encryption.keyId - Идентификатор ключа для шифрования новых значений
+ * @param {string[]} [encryption.fields] - Шифруемые поля
+ * @returns {Object} Копия авторизации с зашифрованными полями
+ */
+function encryptAuth(auth, encryption) {
+  if (!encryption || !auth || typeof auth !== 'object') return auth;
+
+  const result = { ...auth };
+  for (const field of encryption.fields || DEFAULT_ENCRYPTED_FIELDS) {
+    const value = result[field];
+    if (value !== undefined && value !== null && value !== '' && !isEncryptedValue(value)) {
+      result[field] = encryptValue(value, encryption);
+    }
+  }
+  return result;
+}
+
+/**
+ * Расшифровывает поля авторизации после чтения из хранилища
+ *
+ * Незашифрованные значения возвращаются как есть, поэтому шифрование можно
+ * включить для уже заполненного хранилища.
+ *
+ * @param {Object} auth - Сохраненная авторизация
+ * @param {Object|null} encryption - Настройки шифрования (null - без шифрования)
+ * @returns {Object} Копия авторизации с расшифрованными полями
+ * @throws {Error} Если ключ не найден или данные повреждены
+ */
+function decryptAuth(auth, encryption) {
+  if (!auth || typeof auth !== 'object') return auth;
+
+  const result = { ...auth };
+  for (const [field, value] of Object.entries(result)) {
+    if (!isEncryptedValue(value)) continue;
+    if (!encryption) {
+      throw new Error(`Поле ${field} зашифровано, но настройки encryption не заданы`);
+    }
+    result[field] = decryptValue(value, encryption);
+  }
+  return result;
+}
+
+/**
+ * Перешифровывает авторизацию текущим ключом, например после ротации ключей
+ * @param {Object} auth - Сохраненная авторизация
+ * @param {Object} encryption - Настройки шифрования
+ * @returns {Object} Авторизация, зашифрованная ключом encryption.keyId
+ */
+function reencryptAuth(auth, encryption) {
+  return encryptAuth(decryptAuth(auth, encryption), encryption);
+}
+
+module.exports = {
+  encryptAuth,
+  decryptAuth,
+  reencryptAuth,
+  isEncryptedValue,
+  DEFAULT_ENCRYPTED_FIELDS,
+};
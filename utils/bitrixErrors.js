@@ -25,15 +25,91 @@ class BitrixApiError {
    * @static
    * @param {Error} error - Исходная ошибка сети
    * @param {boolean} retriesExhausted - Флаг, указывающий, что исчерпаны все попытки повтора
+   * @param {boolean} [ambiguous=false] - Портал мог выполнить запрос до сбоя (обрыв соединения, таймаут)
    * @returns {BitrixApiError} Экземпляр ошибки сетевого уровня
    */
-  static network(error, retriesExhausted) {
+  static network(error, retriesExhausted, ambiguous = false) {
     return new BitrixApiError('network_error', `Сетевая ошибка: ${error.message}`, {
       original_error: error,
       retries_exhausted: retriesExhausted,
+      ambiguous,
     });
   }
 
+  /**
+   * Создает ошибку отмены запроса вызывающим кодом
+   * @static
+   * @param {any} reason - Причина отмены из AbortSignal
+   * @returns {BitrixApiError} Экземпляр ошибки отмены запроса
+   */
+  static aborted(reason) {
+    return new BitrixApiError('request_aborted', `Запрос отменен: ${reason?.message || reason || 'AbortError'}`, {
+      original_error: reason,
+    });
+  }
+
+  /**
+   * Создает ошибку истечения общего срока вызова
+   * @static
+   * @param {number} deadline - Срок вызова (мс)
+   * @param {number} deadlineAt - Время истечения срока (мс)
+   * @returns {BitrixApiError} Экземпляр ошибки срока вызова
+   */
+  static deadline(deadline, deadlineAt) {
+    return new BitrixApiError('deadline_exceeded', `Истек срок вызова ${deadline}ms с учетом повторов и очереди`, {
+      deadline,
+      deadline_at: deadlineAt,
+    });
+  }
+
+  /**
+   * Создает ошибку отклонения запроса очередью лимитера
+   * @static
+   * @param {Error} error - Ошибка лимитера с кодом queue_overflow или queue_timeout
+   * @returns {BitrixApiError} Экземпляр ошибки очереди лимитера
+   */
+  static queue(error) {
+    return new BitrixApiError(error.code, error.message, {
+      domain: error.domain,
+      queue_length: error.queueLength,
+      max_queue_length: error.maxQueueLength,
+      max_queue_wait: error.maxQueueWait,
+    });
+  }
+
+  /**
+   * Создает ошибку отклонения запроса разомкнутым выключателем портала
+   * @static
+   * @param {string} domain - Домен портала
+   * @param {Object} circuit - Состояние выключателя из CircuitBreaker.getState
+   * @returns {BitrixApiError} Экземпляр ошибки выключателя
+   */
+  static circuitOpen(domain, circuit) {
+    const until = circuit.retryAt ? ` до ${new Date(circuit.retryAt).toISOString()}` : '';
+    return new BitrixApiError('circuit_open', `Запросы к порталу ${domain} приостановлены после серии сбоев${until}`, {
+      domain,
+      circuit_state: circuit.state,
+      failure_rate: circuit.failureRate,
+      retry_at: circuit.retryAt,
+    });
+  }
+
+  /**
+   * Создает ошибку неудачного обновления токена доступа
+   * @static
+   * @param {string} domain - Домен портала
+   * @param {boolean} [expired=false] - Токен уже истек: запрос не отправлялся, так как без обновления он бы не прошел
+   * @returns {BitrixApiError} Экземпляр ошибки expired_token или refresh_failed
+   */
+  static refreshFailed(domain, expired = false) {
+    if (expired) {
+      return new BitrixApiError('expired_token', `Токен доступа портала ${domain} истек, обновить его не удалось`, {
+        domain,
+      });
+    }
+    return new BitrixApiError('refresh_failed', `Не удалось обновить токен доступа портала ${domain}`, { domain });
+  }
+
   /**
    * Создает ошибку уровня клиента (4xx)
    * @static
@@ -68,6 +144,26 @@ class BitrixApiError {
     });
   }
 
+  /**
+   * Создает ошибку исчерпания ожиданий лимита запросов портала
+   * @static
+   * @param {Response} response - Объект ответа HTTP
+   * @param {Object} errorData - Данные об ошибке от Bitrix API
+   * @param {number|null} retryAfter - Задержка из заголовка Retry-After (мс)
+   * @returns {BitrixApiError} Экземпляр ошибки лимита запросов
+   */
+  static rateLimit(response, errorData, retryAfter) {
+    const error_description = errorData?.error_description || `Превышен лимит запросов: ${response.status}`;
+    const error_bitrix_name = errorData?.error || 'неизвестное имя ошибки';
+    return new BitrixApiError('rate_limit_error', error_description, {
+      error_bitrix_name,
+      status: response.status,
+      retry_after: retryAfter,
+      retries_exhausted: true,
+      bitrix_error: errorData,
+    });
+  }
+
   /**
    * Создает ошибку редиректа
    * @static
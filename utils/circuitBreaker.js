@@ -0,0 +1,182 @@
+/**
+ * Автоматический выключатель запросов к порталам
+ *
+ * Для каждого портала хранится окно последних результатов запросов. Когда доля
+ * сбоев в окне достигает failureRate, выключатель размыкается (open) и запросы
+ * к порталу отклоняются без обращения к сети. Через cooldown выключатель
+ * переходит в полуоткрытое состояние (half-open) и пропускает halfOpenRequests
+ * пробных запросов: успех замыкает его (closed), сбой снова размыкает.
+ *
+ * Состояние хранится в памяти процесса.
+ *
+ * @class CircuitBreaker
+ * @since 0.6.0
+ * @example
+ * const breaker = new CircuitBreaker({ failureRate: 0.5, cooldown: 30000 });
+ * if (breaker.allowRequest(domain)) {
+ *   breaker.recordResult(domain, await sendRequest());
+ * }
+ */
+class CircuitBreaker {
+  /**
+   * Состояния выключателя
+   * @type {{CLOSED: string, OPEN: string, HALF_OPEN: string}}
+   */
+  static STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half-open' };
+
+  /**
+   * Состояния порталов по домену
+   * @private
+   * @type {Map<string, Object>}
+   */
+  #circuits = new Map();
+
+  /**
+   * @param {Object} [options={}] - Настройки выключателя
+   * @param {number} [options.failureRate=0.5] - Доля сбоев в окне, при которой выключатель размыкается
+   * @param {number} [options.minimumRequests=5] - Минимальное число результатов в окне для расчета доли сбоев
+   * @param {number} [options.windowSize=20] - Число последних результатов в окне
+   * @param {number} [options.cooldown=30000] - Время до пробных запросов после размыкания (мс)
+   * @param {number} [options.halfOpenRequests=1] - Число одновременных пробных запросов в полуоткрытом состоянии
+   * @param {Function} [options.onStateChange] - Обработчик смены состояния (domain, state, details) => void
+   */
+  constructor(options = {}) {
+    this.FAILURE_RATE = options.failureRate || 0.5;
+    this.MINIMUM_REQUESTS = options.minimumRequests || 5;
+    this.WINDOW_SIZE = Math.max(options.windowSize || 20, this.MINIMUM_REQUESTS);
+    this.COOLDOWN = options.cooldown || 30000;
+    this.HALF_OPEN_REQUESTS = options.halfOpenRequests || 1;
+    this.onStateChange = options.onStateChange || null;
+  }
+
+  /**
+   * Возвращает состояние портала, переводя его в half-open по окончании cooldown
+   * @private
+   * @param {string} domain - Домен портала
+   * @returns {Object} Состояние { state, results, probes, openedAt, retryAt }
+   */
+  #getCircuit(domain) {
+    let circuit = this.#circuits.get(domain);
+    if (!circuit) {
+      circuit = { state: CircuitBreaker.STATES.CLOSED, results: [], probes: 0, openedAt: 0, retryAt: 0 };
+      this.#circuits.set(domain, circuit);
+    }
+
+    if (circuit.state === CircuitBreaker.STATES.OPEN && Date.now() >= circuit.retryAt) {
+      this.#setState(domain, circuit, CircuitBreaker.STATES.HALF_OPEN);
+    }
+    return circuit;
+  }
+
+  /**
+   * Меняет состояние портала и вызывает onStateChange
+   * @private
+   * @param {string} domain - Домен портала
+   * @param {Object} circuit - Состояние портала
+   * @param {string} state - Новое состояние
+   */
+  #setState(domain, circuit, state) {
+    const previousState = circuit.state;
+    circuit.state = state;
+    circuit.probes = 0;
+
+    if (state === CircuitBreaker.STATES.OPEN) {
+      circuit.openedAt = Date.now();
+      circuit.retryAt = circuit.openedAt + this.COOLDOWN;
+    } else if (state === CircuitBreaker.STATES.CLOSED) {
+      circuit.results = [];
+      circuit.openedAt = 0;
+      circuit.retryAt = 0;
+    }
+
+    if (this.onStateChange) {
+      this.onStateChange(domain, state, { previousState, ...this.getState(domain) });
+    }
+  }
+
+  /**
+   * Проверяет, отклоняются ли сейчас запросы к порталу
+   * @param {string} domain - Домен портала
+   * @returns {boolean} true, если выключатель разомкнут или все пробные запросы уже выполняются
+   */
+  isOpen(domain) {
+    const circuit = this.#getCircuit(domain);
+    if (circuit.state === CircuitBreaker.STATES.OPEN) return true;
+    return circuit.state === CircuitBreaker.STATES.HALF_OPEN && circuit.probes >= this.HALF_OPEN_REQUESTS;
+  }
+
+  /**
+   * Разрешает отправку запроса к порталу
+   *
+   * В полуоткрытом состоянии занимает место пробного запроса, поэтому после
+   * разрешения результат нужно передать в recordResult.
+   *
+   * @param {string} domain - Домен портала
+   * @returns {boolean} true, если запрос можно отправить
+   */
+  allowRequest(domain) {
+    if (this.isOpen(domain)) return false;
+
+    const circuit = this.#getCircuit(domain);
+    if (circuit.state === CircuitBreaker.STATES.HALF_OPEN) circuit.probes++;
+    return true;
+  }
+
+  /**
+   * Учитывает результат запроса к порталу
+   * @param {string} domain - Домен портала
+   * @param {boolean|null} success - true - портал ответил, false - сбой, null - результат не учитывается (отмена)
+   */
+  recordResult(domain, success) {
+    const circuit = this.#getCircuit(domain);
+
+    if (circuit.state === CircuitBreaker.STATES.HALF_OPEN) {
+      circuit.probes = Math.max(0, circuit.probes - 1);
+      if (success === true) this.#setState(domain, circuit, CircuitBreaker.STATES.CLOSED);
+      if (success === false) this.#setState(domain, circuit, CircuitBreaker.STATES.OPEN);
+      return;
+    }
+    if (success === null || circuit.state === CircuitBreaker.STATES.OPEN) return;
+
+    circuit.results.push(success);
+    if (circuit.results.length > this.WINDOW_SIZE) circuit.results.shift();
+
+    const failures = circuit.results.filter((result) => !result).length;
+    if (circuit.results.length >= this.MINIMUM_REQUESTS && failures / circuit.results.length >= this.FAILURE_RATE) {
+      this.#setState(domain, circuit, CircuitBreaker.STATES.OPEN);
+    }
+  }
+
+  /**
+   * Возвращает состояние выключателя портала
+   * @param {string} domain - Домен портала
+   * @returns {{state: string, requests: number, failures: number, failureRate: number, retryAt: number|null}}
+   */
+  getState(domain) {
+    if (!this.#circuits.has(domain)) {
+      return { state: CircuitBreaker.STATES.CLOSED, requests: 0, failures: 0, failureRate: 0, retryAt: null };
+    }
+
+    const circuit = this.#getCircuit(domain);
+
+    const failures = circuit.results.filter((result) => !result).length;
+    return {
+      state: circuit.state,
+      requests: circuit.results.length,
+      failures,
+      failureRate: circuit.results.length ? Math.round((failures / circuit.results.length) * 100) / 100 : 0,
+      retryAt: circuit.state === CircuitBreaker.STATES.OPEN ? circuit.retryAt : null,
+    };
+  }
+
+  /**
+   * Удаляет состояние портала
+   * @param {string} domain - Домен портала
+   * @returns {boolean} true, если состояние было удалено
+   */
+  delete(domain) {
+    return this.#circuits.delete(domain);
+  }
+}
+
+module.exports = CircuitBreaker;
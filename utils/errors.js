@@ -0,0 +1,216 @@
+/**
+ * Иерархия исключений для режима throwOnError
+ *
+ * Все ошибки наследуются от Bitrix24Error и содержат метод API, домен портала,
+ * идентификатор запроса, HTTP-статус и исходное тело ответа Bitrix24.
+ *
+ * @module errors
+ * @since 0.5.0
+ */
+
+/**
+ * Базовый класс ошибок API Bitrix24
+ * @class Bitrix24Error
+ * @extends Error
+ */
+class Bitrix24Error extends Error {
+  /**
+   * @param {string} message - Описание ошибки
+   * @param {Object} [details={}] - Подробности ошибки
+   * @param {string} [details.code] - Код ошибки Bitrix24 (например, 'QUERY_LIMIT_EXCEEDED')
+   * @param {string} [details.method] - Метод API
+   * @param {string} [details.domain] - Домен портала
+   * @param {string} [details.requestId] - Идентификатор запроса из логов
+   * @param {number} [details.status] - HTTP-статус ответа
+   * @param {Object} [details.body] - Исходное тело ответа Bitrix24
+   * @param {Error|Object} [details.cause] - Исходная ошибка или объект ошибки клиента
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = details.code;
+    this.method = details.method;
+    this.domain = details.domain;
+    this.requestId = details.requestId;
+    this.status = details.status;
+    this.body = details.body;
+  }
+}
+
+/**
+ * Сетевая ошибка: таймаут, обрыв соединения, DNS, истечение общего срока вызова (deadline_exceeded)
+ * @class NetworkError
+ * @extends Bitrix24Error
+ */
+class NetworkError extends Bitrix24Error {}
+
+/**
+ * Ошибка авторизации: нет сохраненной авторизации, токен недействителен или не обновился
+ * @class AuthError
+ * @extends Bitrix24Error
+ */
+class AuthError extends Bitrix24Error {}
+
+/**
+ * Превышение лимитов запросов, времени выполнения методов или очереди лимитера
+ * @class RateLimitError
+ * @extends Bitrix24Error
+ */
+class RateLimitError extends Bitrix24Error {}
+
+/**
+ * Недостаточно прав или не хватает scope приложения
+ * @class AccessDeniedError
+ * @extends Bitrix24Error
+ */
+class AccessDeniedError extends Bitrix24Error {}
+
+/**
+ * Метод API не существует
+ * @class MethodNotFoundError
+ * @extends Bitrix24Error
+ */
+class MethodNotFoundError extends Bitrix24Error {}
+
+/**
+ * Ошибка на стороне портала: 5xx, HTML-страница вместо JSON, неразборчивый ответ,
+ * а также отклонение запроса разомкнутым выключателем портала (circuit_open)
+ * @class ServerError
+ * @extends Bitrix24Error
+ */
+class ServerError extends Bitrix24Error {}
+
+// Соответствие кодов ошибок Bitrix24 классам исключений
+const ERROR_CODES = {
+  AuthError: [
+    'expired_token',
+    'invalid_token',
+    'invalid_grant',
+    'invalid_client',
+    'no_auth_found',
+    'wrong_auth_type',
+    'authorization_error',
+    'invalid_application_token',
+    'refresh_failed',
+  ],
+  RateLimitError: [
+    'query_limit_exceeded',
+    'operation_time_limit',
+    'rate_limit_error',
+    'queue_overflow',
+    'queue_timeout',
+  ],
+  AccessDeniedError: [
+    'access_denied',
+    'insufficient_scope',
+    'invalid_credentials',
+    'user_access_error',
+    'payment_required',
+    'allowed_only_intranet_user',
+  ],
+  MethodNotFoundError: ['error_method_not_found', 'method_not_found'],
+};
+
+const ERROR_CLASSES = { AuthError, RateLimitError, AccessDeniedError, MethodNotFoundError };
+
+/**
+ * Проверяет, является ли результат вызова API ошибкой
+ * @param {any} result - Результат call() или callDirect()
+ * @returns {boolean} true, если результат описывает ошибку
+ */
+function isErrorResult(result) {
+  if (result === null || result === undefined) return true;
+  if (result instanceof Error) return true;
+  if (typeof result !== 'object') return false;
+  return Boolean(result.error) || result.format === 'html' || result.format === 'text';
+}
+
+/**
+ * Преобразует результат-ошибку клиента в исключение из иерархии Bitrix24Error
+ *
+ * Поддерживает все формы ошибок, которые возвращает клиент: экземпляры BitrixApiError
+ * (в том числе expired_token и refresh_failed при неудачном обновлении токена),
+ * объекты handleError, исходные ошибки fetch, тело ответа Bitrix24 и пустой результат.
+ *
+ * @param {any} result - Результат-ошибка
+ * @param {Object} [context={}] - Контекст вызова
+ * @param {string} [context.method] - Метод API
+ * @param {string} [context.domain] - Домен портала
+ * @returns {Bitrix24Error} Исключение соответствующего класса
+ */
+function toBitrixError(result, context = {}) {
+  if (result instanceof Bitrix24Error) return result;
+
+  const base = { method: context.method, domain: context.domain, requestId: result?.request_id };
+
+  if (result === null || result === undefined) {
+    return new AuthError('Не удалось получить или обновить авторизацию', { ...base, code: 'auth_error' });
+  }
+
+  if (result instanceof Error) {
+    const code = result.code || result.cause?.code;
+    return new NetworkError(`Сетевая ошибка: ${result.message}`, { ...base, code, cause: result });
+  }
+
+  const body = result.body || result.bitrix_error || (result.error_bitrix_name ? undefined : result);
+  const code = result.error_bitrix_name && result.error_bitrix_name !== 'неизвестное имя ошибки'
+    ? result.error_bitrix_name
+    : result.error;
+  const message =
+    result.error_description ||
+    result.description ||
+    code ||
+    (result.format ? `Неожиданный ответ в формате ${result.format}` : 'Неизвестная ошибка');
+  const details = { ...base, code, status: result.status, body, cause: result };
+
+  if (result.error === 'network_error' || result.error === 'deadline_exceeded') {
+    return new NetworkError(message, { ...details, cause: result.original_error || result });
+  }
+
+  // Ошибка модуля из handleError с именем исходной ошибки в описании
+  if (result.error === 'module_error' && /^AuthError\b/.test(result.description || '')) {
+    return new AuthError(message, { ...details, code: 'auth_error' });
+  }
+
+  const normalizedCode = String(code || '').toLowerCase();
+  const className = Object.keys(ERROR_CODES).find((name) => ERROR_CODES[name].includes(normalizedCode));
+  if (className) {
+    return new ERROR_CLASSES[className](message, details);
+  }
+
+  if (result.status === 429) {
+    return new RateLimitError(message, details);
+  }
+  if (result.status === 401) {
+    return new AuthError(message, details);
+  }
+  if (result.status === 403) {
+    return new AccessDeniedError(message, details);
+  }
+
+  if (
+    result.error === 'server_error' ||
+    result.error === 'response_parse_error' ||
+    result.error === 'unexpected_status' ||
+    result.error === 'circuit_open' ||
+    result.format === 'html' ||
+    result.format === 'text' ||
+    result.status >= 500
+  ) {
+    return new ServerError(message, details);
+  }
+
+  return new Bitrix24Error(message, details);
+}
+
+module.exports = {
+  Bitrix24Error,
+  NetworkError,
+  AuthError,
+  RateLimitError,
+  AccessDeniedError,
+  MethodNotFoundError,
+  ServerError,
+  isErrorResult,
+  toBitrixError,
+};
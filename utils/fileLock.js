@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { sleep } = require('./requestUtils');
+
+/**
+ * Захватывает межпроцессную блокировку через эксклюзивно создаваемый файл
+ *
+ * Блокировка, оставшаяся после аварийного завершения процесса, снимается,
+ * если файл старше staleTimeout.
+ *
+ * @param {string} lockPath - Путь к файлу блокировки
+ * @param {Object} [options={}] - Настройки ожидания
+ * @param {number} [options.timeout=5000] - Максимальное время ожидания блокировки (мс)
+ * @param {number} [options.staleTimeout=10000] - Возраст блокировки, после которого она снимается (мс)
+ * @returns {Promise<Function>} Функция снятия блокировки
+ * @throws {Error} Если блокировку не удалось получить за timeout
+ */
+async function acquireFileLock(lockPath, options = {}) {
+  const { timeout = 5000, staleTimeout = 10000 } = options;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx', 0o600);
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return () => fs.rm(lockPath, { force: true });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    // Блокировка процесса, завершившегося аварийно
+    const stat = await fs.stat(lockPath).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > staleTimeout) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Не удалось получить блокировку ${lockPath}`);
+    }
+    await sleep(25 + Math.random() * 25);
+  }
+}
+
+/**
+ * Атомарно записывает JSON-файл через временный файл и переименование
+ * @param {string} filePath - Путь к файлу
+ * @param {any} data - Данные для записи
+ * @param {Object} [options={}] - Настройки записи
+ * @param {boolean} [options.sync=true] - Сбрасывать данные на диск перед переименованием
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(filePath, data, options = {}) {
+  const { sync = true } = options;
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+  try {
+    const handle = await fs.open(tempPath, 'w', 0o600);
+    try {
+      await handle.writeFile(JSON.stringify(data));
+      if (sync) await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Читает JSON-файл
+ * @param {string} filePath - Путь к файлу
+ * @returns {Promise<any|null>} Содержимое файла или null, если файла нет
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  acquireFileLock,
+  writeJsonAtomic,
+  readJson,
+};
@@ -413,13 +413,32 @@ class Logger {
       const result = urlObj.toString();
 
       // Если маскировка не сработала через URL API, используем регулярные выражения
-      return masked ? result : this._maskUrlWithRegex(url);
+      return this._maskWebhookSecret(masked ? result : this._maskUrlWithRegex(url));
     } catch {
       // Если не можем распарсить URL, используем регулярные выражения
-      return this._maskUrlWithRegex(url);
+      return this._maskWebhookSecret(this._maskUrlWithRegex(url));
     }
   }
 
+  /**
+   * Маскирует секрет входящего вебхука в пути URL
+   *
+   * Вебхук Bitrix24 имеет вид /rest/<user_id>/<secret>/, где секрет
+   * является учетными данными и не должен попадать в логи.
+   *
+   * @private
+   * @param {string} url - URL для обработки
+   * @returns {string} URL с замаскированным секретом вебхука
+   * @memberof Logger
+   * @since 0.5.0
+   * @example
+   * logger._maskWebhookSecret('https://example.bitrix24.ru/rest/1/abc123/user.get.json');
+   * // Результат: 'https://example.bitrix24.ru/rest/1/[REDACTED]/user.get.json'
+   */
+  _maskWebhookSecret(url) {
+    return url.replace(/(\/rest\/\d+\/)[^/?#\s]+(?=\/)/g, '$1[REDACTED]');
+  }
+
   /**
    * Маскирует чувствительные данные в URL с помощью регулярных выражений
    *
@@ -629,6 +648,7 @@ module.exports = {
    * @param {string} [options.level] - Уровень логирования
    * @param {Object} [options.logger] - Объект для вывода логов
    * @param {number} [options.truncateLength] - Максимальная длина данных
+   * @param {Logger} [target=defaultLogger] - Экземпляр логгера, который нужно перенастроить
    * @returns {Logger} Настроенный экземпляр логгера
    * @since 1.0.0
    * @example
@@ -639,14 +659,14 @@ module.exports = {
    *   truncateLength: 1000
    * });
    */
-  configureLogger: (options) => {
+  configureLogger: (options, target = defaultLogger) => {
     const loggerOptions = { ...options };
 
     if (loggerOptions.logger instanceof Logger) {
       delete loggerOptions.logger;
     }
 
-    Object.assign(defaultLogger, new Logger(loggerOptions));
-    return defaultLogger;
+    Object.assign(target, new Logger(loggerOptions));
+    return target;
   },
 };
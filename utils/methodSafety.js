@@ -0,0 +1,73 @@
+/**
+ * Окончания методов, которые только читают данные и могут повторяться без последствий
+ * @type {string[]}
+ */
+const SAFE_SUFFIXES = ['.get', '.list', '.fields'];
+
+/**
+ * Окончания методов, повтор которых после неоднозначного сбоя может создать дубликат
+ * или повторить действие
+ * @type {string[]}
+ */
+const UNSAFE_SUFFIXES = ['.add', '.delete'];
+
+/**
+ * Методы с побочными действиями, которые не определяются по окончанию имени
+ * @type {string[]}
+ */
+const UNSAFE_METHODS = ['im.notify', 'bizproc.workflow.start', 'disk.folder.uploadfile', 'disk.storage.uploadfile'];
+
+/**
+ * Повторы после неоднозначного сбоя по умолчанию: безопасные и прочие методы
+ * повторяются, методы создания и удаления - нет
+ * @type {Object<string, boolean>}
+ */
+const DEFAULT_RETRY_AMBIGUOUS = { safe: true, unsafe: false, other: true };
+
+/**
+ * Определяет класс метода API для повторов после неоднозначного сбоя
+ *
+ * Неоднозначный сбой - обрыв соединения или таймаут, после которого неизвестно,
+ * выполнил ли портал запрос. Для batch класс определяется по командам: пакет
+ * считается безопасным, только если безопасны все команды.
+ *
+ * @param {string} method - Метод API
+ * @param {Object} [params] - Параметры метода (для batch - { cmd })
+ * @returns {'safe'|'unsafe'|'other'} Класс метода
+ * @example
+ * classifyMethod('crm.deal.list'); // 'safe'
+ * classifyMethod('crm.deal.add'); // 'unsafe'
+ * classifyMethod('crm.deal.update'); // 'other'
+ */
+function classifyMethod(method, params) {
+  const name = String(method || '').toLowerCase();
+
+  if (name === 'batch' && params?.cmd && typeof params.cmd === 'object') {
+    const classes = Object.values(params.cmd).map((command) => classifyMethod(String(command).split('?')[0]));
+    if (classes.includes('unsafe')) return 'unsafe';
+    return classes.length > 0 && classes.every((methodClass) => methodClass === 'safe') ? 'safe' : 'other';
+  }
+
+  if (UNSAFE_METHODS.includes(name) || UNSAFE_SUFFIXES.some((suffix) => name.endsWith(suffix))) return 'unsafe';
+  if (SAFE_SUFFIXES.some((suffix) => name.endsWith(suffix))) return 'safe';
+  return 'other';
+}
+
+/**
+ * Проверяет, разрешен ли повтор метода после неоднозначного сбоя
+ * @param {string} methodClass - Класс метода из classifyMethod
+ * @param {boolean|Object<string, boolean>} [retryAmbiguous] - Разрешение для всех классов или по классам
+ * { safe, unsafe, other }
+ * @returns {boolean} true, если запрос можно повторить
+ */
+function isAmbiguousRetryAllowed(methodClass, retryAmbiguous = DEFAULT_RETRY_AMBIGUOUS) {
+  if (typeof retryAmbiguous === 'boolean') return retryAmbiguous;
+  const allowed = { ...DEFAULT_RETRY_AMBIGUOUS, ...retryAmbiguous };
+  return allowed[methodClass] !== false;
+}
+
+module.exports = {
+  classifyMethod,
+  isAmbiguousRetryAllowed,
+  DEFAULT_RETRY_AMBIGUOUS,
+};
@@ -0,0 +1,106 @@
+/**
+ * Ключи, которые не переносятся в результат, чтобы тело запроса не могло изменить прототип объекта
+ * @type {string[]}
+ */
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Разбивает ключ в нотации массивов PHP на части пути
+ * @param {string} key - Ключ вида data[FIELDS][ID] или a[]
+ * @returns {string[]} Части пути, пустая строка означает добавление в конец массива
+ */
+function splitKey(key) {
+  const match = /^([^[\]]+)((?:\[[^\]]*\])*)$/.exec(key);
+  if (!match) return [key];
+  return [match[1], ...[...match[2].matchAll(/\[([^\]]*)\]/g)].map((part) => part[1])];
+}
+
+/**
+ * Записывает значение по пути внутри объекта, создавая промежуточные уровни
+ * @param {Object} target - Объект-результат
+ * @param {string[]} path - Части пути
+ * @param {any} value - Значение
+ */
+function assignPath(target, path, value) {
+  if (path.some((part) => FORBIDDEN_KEYS.includes(part))) return;
+
+  let current = target;
+  for (let index = 0; index < path.length; index++) {
+    let part = path[index];
+    if (part === '') part = String(Object.keys(current).length);
+
+    if (index === path.length - 1) {
+      current[part] = value;
+      return;
+    }
+
+    if (!current[part] || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  }
+}
+
+/**
+ * Преобразует объекты с ключами 0..n-1 обратно в массивы
+ * @param {any} value - Разобранное значение
+ * @returns {any} Значение с восстановленными массивами
+ */
+function restoreArrays(value) {
+  if (!value || typeof value !== 'object') return value;
+
+  const entries = Object.entries(value).map(([key, item]) => [key, restoreArrays(item)]);
+  const isList = entries.length > 0 && entries.every(([key], index) => key === String(index));
+
+  return isList ? entries.map(([, item]) => item) : Object.fromEntries(entries);
+}
+
+/**
+ * Преобразует строку запроса в нотации массивов PHP во вложенный объект,
+ * выполняя действие, обратное функции buildQuery.
+ *
+ * Принимает строку или Buffer тела запроса application/x-www-form-urlencoded,
+ * URLSearchParams или объект, уже разобранный body-parser (в том числе с плоскими
+ * ключами вида data[FIELDS][ID] при extended: false).
+ *
+ * @param {string|Buffer|URLSearchParams|Object} queryData - Тело запроса
+ * @returns {Object} Вложенный объект
+ *
+ * @example
+ * parseQuery('data[FIELDS][ID]=5&auth[domain]=example.bitrix24.ru')
+ * // Вернет { data: { FIELDS: { ID: '5' } }, auth: { domain: 'example.bitrix24.ru' } }
+ *
+ * @example
+ * // Индексы массивов восстанавливаются в массивы
+ * parseQuery('select[0]=ID&select[1]=TITLE') // Вернет { select: ['ID', 'TITLE'] }
+ */
+function parseQuery(queryData) {
+  if (!queryData) return {};
+
+  let entries;
+  if (typeof queryData === 'string' || Buffer.isBuffer(queryData)) {
+    entries = new URLSearchParams(queryData.toString()).entries();
+  } else if (queryData instanceof URLSearchParams) {
+    entries = queryData.entries();
+  } else if (typeof queryData === 'object') {
+    entries = Object.entries(queryData);
+  } else {
+    return {};
+  }
+
+  const result = {};
+  for (const [key, value] of entries) {
+    // Уже вложенные значения объекта разбираются рекурсивно и сливаются по тому же пути
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [nestedKey, nestedValue] of Object.entries(parseQuery(value))) {
+        assignPath(result, [...splitKey(key), ...splitKey(nestedKey)], nestedValue);
+      }
+      continue;
+    }
+    assignPath(result, splitKey(key), value);
+  }
+
+  return restoreArrays(result);
+}
+
+module.exports = parseQuery;
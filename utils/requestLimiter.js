@@ -1,16 +1,178 @@
+const { EventEmitter } = require('events');
+const MemoryLimiterStore = require('../src/stores/memoryLimiterStore');
+const CircuitBreaker = require('./circuitBreaker');
+
 /**
  * Контроллер интенсивности запросов к Bitrix24 с очередью запросов для каждого портала
  * Обеспечивает последовательное выполнение запросов внутри одного портала
  * и параллельное выполнение между разными порталами
+ *
+ * Состояние "ведра" портала (counter, lastUpdate, blockUntil) хранится в options.store,
+ * поэтому несколько процессов с общим хранилищем расходуют один лимит портала.
+ * Очередь и минимальный интервал между запросами остаются в памяти процесса.
+ *
+ * Кроме интенсивности запросов учитывается лимит времени выполнения методов:
+ * по блоку time ответа (operating, operating_reset_at) методы, израсходовавшие
+ * большую часть лимита, притормаживаются, а после ошибки OPERATION_TIME_LIMIT
+ * метод ожидает operating_reset_at. Остальные методы портала при этом выполняются.
+ *
+ * Объем ведра и скорость утечки задаются профилем: общим для лимитера или
+ * отдельным для портала (setPortalProfile). В адаптивном режиме скорость портала
+ * снижается после каждой ошибки QUERY_LIMIT_EXCEEDED и постепенно восстанавливается
+ * после успешных запросов.
+ *
+ * Очередь портала разделена на полосы приоритета (high, normal, bulk). Полосы
+ * обслуживаются пропорционально весам: более высокая полоса получает больше
+ * запросов, но низкие полосы не останавливаются полностью.
+ *
+ * Длина очереди портала и время ожидания в ней ограничиваются maxQueueLength
+ * и maxQueueWait: сверх лимитов throttle отклоняется ошибкой с кодом
+ * queue_overflow или queue_timeout, а лимитер вызывает onSaturated.
+ *
+ * Число одновременно выполняемых запросов ограничивается maxConcurrentPerPortal
+ * и maxConcurrentGlobal: запрос занимает слот через acquireSlot и освобождает его
+ * после завершения всех попыток. Освободившийся общий слот получают порталы
+ * по кругу, поэтому загруженный портал не задерживает остальные.
+ *
+ * С опцией circuitBreaker лимитер ведет автоматический выключатель портала
+ * (см. CircuitBreaker): после серии сбоев запросы к порталу отклоняются сразу
+ * ошибкой circuit_open, пока не истечет cooldown и пробный запрос не пройдет.
+ *
+ * Состояние порталов доступно через getStats, а изменения - через события:
+ * - blocked ({ domain, blockUntil, blockTime, method, error }) - запросы портала заблокированы;
+ * - unblocked ({ domain, blockedFor }) - блокировка портала снята и очередь продолжила работу;
+ * - saturated ({ domain, reason, method, priority, queueLength, ... }) - запрос отклонен очередью;
+ * - circuitOpen, circuitHalfOpen, circuitClosed ({ domain, previousState, failures, failureRate, retryAt, ... }) -
+ *   выключатель портала разомкнут, пропускает пробные запросы или снова замкнут.
+ *
+ * @extends EventEmitter
  */
-class RequestLimiter {
+class RequestLimiter extends EventEmitter {
+  /**
+   * Профили лимитов тарифов Bitrix24
+   * @type {Object<string, {maxBucket: number, leakRate: number}>}
+   */
+  static PROFILES = {
+    standard: { maxBucket: 50, leakRate: 2 },
+    enterprise: { maxBucket: 250, leakRate: 5 },
+  };
+
+  /**
+   * Коды ошибок Bitrix24, означающие, что портал недоступен, хотя ответ пришел со статусом 4xx.
+   * Выключатель учитывает их как сбои
+   * @type {string[]}
+   */
+  static PORTAL_UNAVAILABLE_ERRORS = ['PORTAL_DELETED'];
+
+  /**
+   * Определяет профиль лимитов по тарифу портала из ответа app.info
+   * @param {Object|string} license - Результат app.info ({ LICENSE, LICENSE_FAMILY }) или код тарифа
+   * @returns {string} Имя профиля: 'enterprise' или 'standard'
+   * @example
+   * RequestLimiter.profileFromLicense('ru_ent250'); // 'enterprise'
+   */
+  static profileFromLicense(license) {
+    const code = String((typeof license === 'object' ? license?.LICENSE : license) || '');
+    const family = String((typeof license === 'object' && license?.LICENSE_FAMILY) || '');
+
+    return /(^|_)ent(erprise)?\d*$/i.test(code) || /^ent(erprise)?/i.test(family) ? 'enterprise' : 'standard';
+  }
+
+  /**
+   * Проверяет, что ответ портала сообщает о превышении лимита, а не о сбое
+   * @param {Object} result - Тело ответа, дополненное полем status (HTTP-статус)
+   * @returns {boolean} true для QUERY_LIMIT_EXCEEDED, OPERATION_TIME_LIMIT и статуса 429
+   */
+  static isLimitError(result) {
+    if (!result) return false;
+
+    return (
+      result.error === 'QUERY_LIMIT_EXCEEDED' ||
+      result.error === 'OPERATION_TIME_LIMIT' ||
+      (typeof result.error_description === 'string' && result.error_description.includes('limit exceeded')) ||
+      result.status === 429
+    );
+  }
+
+  /**
+   * Проверяет, что ответ портала сообщает о недоступности портала (например, портал удален)
+   * @param {Object} result - Тело ответа
+   * @returns {boolean} true для кодов из PORTAL_UNAVAILABLE_ERRORS
+   */
+  static isPortalUnavailableError(result) {
+    return Boolean(result?.error) && RequestLimiter.PORTAL_UNAVAILABLE_ERRORS.includes(result.error);
+  }
+
+  /**
+   * @param {Object} [options={}] - Настройки лимитера
+   * @param {string|Object} [options.profile='standard'] - Профиль по умолчанию: имя из PROFILES или { maxBucket, leakRate }
+   * @param {number} [options.maxBucket=50] - Объем ведра (переопределяет профиль)
+   * @param {number} [options.leakRate=2] - Скорость утечки, единиц в секунду (переопределяет профиль)
+   * @param {Object<string, string|Object>} [options.profiles] - Профили отдельных порталов по домену
+   * @param {boolean} [options.adaptive=false] - Подстраивать скорость портала по ошибкам QUERY_LIMIT_EXCEEDED
+   * @param {number} [options.adaptiveDecrease=0.5] - Множитель скорости после ошибки лимита
+   * @param {number} [options.adaptiveIncrease=0.05] - Прирост скорости (единиц в секунду) после успешного запроса
+   * @param {number} [options.minLeakRate=0.5] - Минимальная скорость в адаптивном режиме (единиц в секунду)
+   * @param {Object<string, number>} [options.priorityWeights] - Веса полос приоритета { high: 8, normal: 4, bulk: 1 }
+   * @param {number} [options.maxQueueLength=Infinity] - Максимальная длина очереди портала
+   * @param {number} [options.maxQueueWait=Infinity] - Максимальное время ожидания запроса в очереди портала (мс)
+   * @param {Object<string, Object>} [options.queueLimits] - Лимиты очереди отдельных порталов { maxQueueLength, maxQueueWait }
+   * @param {Function} [options.onSaturated] - Обработчик отклоненных запросов ({ domain, reason, method, queueLength }) => void
+   * @param {number} [options.maxConcurrentPerPortal=Infinity] - Максимум одновременно выполняемых запросов к порталу
+   * @param {number} [options.maxConcurrentGlobal=Infinity] - Максимум одновременно выполняемых запросов ко всем порталам
+   * @param {boolean|Object} [options.circuitBreaker=false] - Включить выключатель порталов: true или настройки CircuitBreaker
+   * @param {number} [options.minRequestInterval=150] - Минимальный интервал между запросами процесса (мс)
+   * @param {number} [options.maxBlockTime=5000] - Время блокировки при ошибке лимита (мс)
+   * @param {number} [options.operatingLimit=480] - Лимит времени выполнения метода за 10 минут (с)
+   * @param {number} [options.operatingThreshold=0.8] - Доля лимита, после которой метод притормаживается
+   * @param {number} [options.operatingBlockTime=60000] - Блокировка метода после OPERATION_TIME_LIMIT без operating_reset_at (мс)
+   * @param {LimiterStore} [options.store] - Хранилище состояния порталов (по умолчанию в памяти процесса)
+   * @param {Object} [options.logger] - Логгер
+   */
   constructor(options = {}) {
-    // Хранилище для состояния каждого портала
+    super();
+
+    // Локальное состояние каждого портала: очередь и последнее известное состояние ведра
     this.portals = new Map();
 
-    // Фиксированные параметры для обычного тарифа
-    this.MAX_BUCKET = options.maxBucket || 50; // Объем ведра: 50 единиц
-    this.LEAK_RATE = options.leakRate || 2; // Скорость утечки: 2 единицы в секунду
+    // Общее состояние ведра порталов
+    this.store = options.store || new MemoryLimiterStore();
+
+    // Профили отдельных порталов
+    this.profiles = new Map();
+
+    // Лимиты очереди отдельных порталов
+    this.queueLimits = new Map();
+
+    // Выполняемые запросы и порталы, ожидающие слот, в порядке обслуживания
+    this.inFlight = 0;
+    this.slotWaiting = new Set();
+
+    // Параметры по умолчанию для обычного тарифа
+    this.PROFILE = 'standard';
+    this.MAX_BUCKET = 50; // Объем ведра: 50 единиц
+    this.LEAK_RATE = 2; // Скорость утечки: 2 единицы в секунду
+
+    // Адаптивный режим
+    this.ADAPTIVE = false;
+    this.ADAPTIVE_DECREASE = 0.5;
+    this.ADAPTIVE_INCREASE = 0.05;
+    this.MIN_LEAK_RATE = 0.5;
+
+    // Полосы приоритета и их веса: на 8 запросов high приходится 4 normal и 1 bulk
+    this.PRIORITY_WEIGHTS = { high: 8, normal: 4, bulk: 1 };
+
+    // Лимиты очереди портала: по умолчанию не ограничены
+    this.MAX_QUEUE_LENGTH = Infinity;
+    this.MAX_QUEUE_WAIT = Infinity;
+    this.onSaturated = null;
+
+    // Одновременно выполняемые запросы: по умолчанию не ограничены
+    this.MAX_CONCURRENT_PER_PORTAL = Infinity;
+    this.MAX_CONCURRENT_GLOBAL = Infinity;
+
+    // Выключатель порталов: по умолчанию отключен
+    this.circuitBreaker = null;
 
     // Минимальный интервал между запросами (мс)
     this.MIN_REQUEST_INTERVAL = options.minRequestInterval || 150;
@@ -18,6 +180,11 @@ class RequestLimiter {
     // Максимальное время блокировки при ошибке лимита (мс)
     this.MAX_BLOCK_TIME = options.maxBlockTime || 5000;
 
+    // Лимит времени выполнения метода: 480 секунд за 10 минут
+    this.OPERATING_LIMIT = options.operatingLimit || 480;
+    this.OPERATING_THRESHOLD = options.operatingThreshold || 0.8;
+    this.OPERATING_BLOCK_TIME = options.operatingBlockTime || 60000;
+
     // Инициализация логгера
     this.logger = options.logger || {
       debug: () => {},
@@ -25,6 +192,172 @@ class RequestLimiter {
       warn: () => {},
       error: () => {},
     };
+
+    this.configure(options);
+  }
+
+  /**
+   * Изменяет профиль и адаптивный режим лимитера, например у лимитера по умолчанию
+   * @param {Object} options - Настройки, см. конструктор: profile, maxBucket, leakRate, profiles, adaptive и др.
+   * @returns {RequestLimiter} Текущий экземпляр
+   * @example
+   * defaultLimiter.configure({ profile: 'enterprise', adaptive: true });
+   */
+  configure(options = {}) {
+    if (options.profile) {
+      const { name, maxBucket, leakRate } = this.resolveProfile(options.profile);
+      this.PROFILE = name;
+      this.MAX_BUCKET = maxBucket;
+      this.LEAK_RATE = leakRate;
+    }
+    if (options.maxBucket || options.leakRate) {
+      this.PROFILE = 'custom';
+      this.MAX_BUCKET = options.maxBucket || this.MAX_BUCKET;
+      this.LEAK_RATE = options.leakRate || this.LEAK_RATE;
+    }
+
+    for (const [domain, profile] of Object.entries(options.profiles || {})) {
+      this.setPortalProfile(domain, profile);
+    }
+
+    if (options.adaptive !== undefined) this.ADAPTIVE = Boolean(options.adaptive);
+    if (options.adaptiveDecrease) this.ADAPTIVE_DECREASE = options.adaptiveDecrease;
+    if (options.adaptiveIncrease) this.ADAPTIVE_INCREASE = options.adaptiveIncrease;
+    if (options.minLeakRate) this.MIN_LEAK_RATE = options.minLeakRate;
+
+    if (options.priorityWeights) {
+      for (const [lane, weight] of Object.entries(options.priorityWeights)) {
+        if (!(weight > 0)) throw new Error(`Вес полосы приоритета ${lane} должен быть больше нуля`);
+      }
+      this.PRIORITY_WEIGHTS = { ...this.PRIORITY_WEIGHTS, ...options.priorityWeights };
+    }
+
+    if (options.maxQueueLength !== undefined) this.MAX_QUEUE_LENGTH = options.maxQueueLength || Infinity;
+    if (options.maxQueueWait !== undefined) this.MAX_QUEUE_WAIT = options.maxQueueWait || Infinity;
+    for (const [domain, limits] of Object.entries(options.queueLimits || {})) {
+      this.setPortalQueueLimits(domain, limits);
+    }
+
+    if (options.onSaturated !== undefined) {
+      if (options.onSaturated !== null && typeof options.onSaturated !== 'function') {
+        throw new Error('onSaturated должен быть функцией');
+      }
+      this.onSaturated = options.onSaturated;
+    }
+
+    if (options.maxConcurrentPerPortal !== undefined) {
+      this.MAX_CONCURRENT_PER_PORTAL = options.maxConcurrentPerPortal || Infinity;
+    }
+    if (options.maxConcurrentGlobal !== undefined) {
+      this.MAX_CONCURRENT_GLOBAL = options.maxConcurrentGlobal || Infinity;
+    }
+    this._grantSlots();
+
+    if (options.circuitBreaker !== undefined) {
+      this.circuitBreaker = options.circuitBreaker
+        ? new CircuitBreaker({
+            ...(typeof options.circuitBreaker === 'object' ? options.circuitBreaker : {}),
+            onStateChange: (domain, state, details) => this._onCircuitStateChange(domain, state, details),
+          })
+        : null;
+    }
+
+    return this;
+  }
+
+  /**
+   * Приводит профиль к виду { name, maxBucket, leakRate }
+   * @param {string|Object} profile - Имя из PROFILES или { maxBucket, leakRate }
+   * @returns {{name: string, maxBucket: number, leakRate: number}} Профиль
+   * @throws {Error} Если профиль не найден или не содержит maxBucket и leakRate
+   */
+  resolveProfile(profile) {
+    const resolved = typeof profile === 'string' ? RequestLimiter.PROFILES[profile] : profile;
+    if (!(resolved?.maxBucket > 0) || !(resolved?.leakRate > 0)) {
+      throw new Error(
+        `Неизвестный профиль лимитера: ${typeof profile === 'string' ? profile : JSON.stringify(profile)}`
+      );
+    }
+
+    return {
+      name: typeof profile === 'string' ? profile : resolved.name || 'custom',
+      maxBucket: resolved.maxBucket,
+      leakRate: resolved.leakRate,
+    };
+  }
+
+  /**
+   * Задает профиль лимитов портала
+   * @param {string} domain - Домен портала
+   * @param {string|Object} profile - Имя из PROFILES ('standard', 'enterprise') или { maxBucket, leakRate }
+   * @returns {RequestLimiter} Текущий экземпляр
+   * @example
+   * limiter.setPortalProfile('company.bitrix24.ru', 'enterprise');
+   */
+  setPortalProfile(domain, profile) {
+    this.profiles.set(domain, this.resolveProfile(profile));
+    this.logger.debug(`Профиль лимитера для ${domain}: ${this.profiles.get(domain).name}`, {
+      domain,
+      ...this.profiles.get(domain),
+    });
+    return this;
+  }
+
+  /**
+   * Проверяет, задан ли профиль портала явно или по тарифу
+   * @param {string} domain - Домен портала
+   * @returns {boolean} true, если профиль портала задан
+   */
+  hasPortalProfile(domain) {
+    return this.profiles.has(domain);
+  }
+
+  /**
+   * Возвращает профиль лимитов портала
+   * @param {string} [domain] - Домен портала
+   * @returns {{name: string, maxBucket: number, leakRate: number}} Профиль портала или профиль по умолчанию
+   */
+  getPortalProfile(domain) {
+    return this.profiles.get(domain) || { name: this.PROFILE, maxBucket: this.MAX_BUCKET, leakRate: this.LEAK_RATE };
+  }
+
+  /**
+   * Задает лимиты очереди портала вместо общих maxQueueLength и maxQueueWait
+   * @param {string} domain - Домен портала
+   * @param {Object} limits - Лимиты очереди
+   * @param {number} [limits.maxQueueLength] - Максимальная длина очереди (0 - без ограничения)
+   * @param {number} [limits.maxQueueWait] - Максимальное время ожидания в очереди (мс, 0 - без ограничения)
+   * @returns {RequestLimiter} Текущий экземпляр
+   * @example
+   * limiter.setPortalQueueLimits('company.bitrix24.ru', { maxQueueLength: 500, maxQueueWait: 30000 });
+   */
+  setPortalQueueLimits(domain, limits) {
+    this.queueLimits.set(domain, { ...this.queueLimits.get(domain), ...limits });
+    return this;
+  }
+
+  /**
+   * Возвращает лимиты очереди портала
+   * @param {string} [domain] - Домен портала
+   * @returns {{maxQueueLength: number, maxQueueWait: number}} Лимиты портала или общие лимиты
+   */
+  getQueueLimits(domain) {
+    const limits = this.queueLimits.get(domain) || {};
+    return {
+      maxQueueLength: limits.maxQueueLength !== undefined ? limits.maxQueueLength || Infinity : this.MAX_QUEUE_LENGTH,
+      maxQueueWait: limits.maxQueueWait !== undefined ? limits.maxQueueWait || Infinity : this.MAX_QUEUE_WAIT,
+    };
+  }
+
+  /**
+   * Возвращает текущую скорость утечки портала с учетом адаптивного режима
+   * @param {Object|null} state - Состояние из хранилища
+   * @param {string} domain - Домен портала
+   * @returns {number} Скорость утечки (единиц в секунду)
+   */
+  getLeakRate(state, domain) {
+    const { leakRate } = this.getPortalProfile(domain);
+    return this.ADAPTIVE && state?.rate > 0 ? Math.min(state.rate, leakRate) : leakRate;
   }
 
   /**
@@ -46,14 +379,25 @@ class RequestLimiter {
   getPortalState(domain) {
     if (!this.portals.has(domain)) {
       this.portals.set(domain, {
-        counter: 0, // Текущее значение счетчика
+        domain, // Домен портала
+        counter: 0, // Последнее известное значение счетчика
         lastUpdate: Date.now(), // Время последнего обновления
         isBlocked: false, // Флаг блокировки запросов
         blockUntil: 0, // Время до которого действует блокировка
+        methods: {}, // Последнее известное время выполнения методов
+        rate: null, // Последняя известная скорость утечки
+        lanes: { passes: {}, virtualTime: 0 }, // Очередность обслуживания полос приоритета
         lastRequestTime: 0, // Время последнего запроса
         queue: [], // Очередь запросов
         isProcessingQueue: false, // Флаг обработки очереди
         totalRequests: 0, // Общее количество запросов
+        servedRequests: 0, // Запросы, дождавшиеся своей очереди
+        totalQueueWait: 0, // Суммарное время ожидания в очереди (мс)
+        limitHits: 0, // Ошибки превышения лимитов от портала
+        rejected: { queue_overflow: 0, queue_timeout: 0 }, // Запросы, отклоненные очередью
+        inFlight: 0, // Выполняемые запросы
+        slotQueue: [], // Запросы, ожидающие слот
+        slotLanes: { passes: {}, virtualTime: 0 }, // Очередность выдачи слотов полосам приоритета
       });
     }
 
@@ -61,25 +405,118 @@ class RequestLimiter {
   }
 
   /**
-   * Обновляет счетчик с учетом утечки
+   * Возвращает общее состояние портала с учетом утечки
+   * @param {Object|null} state - Состояние из хранилища
+   * @param {number} now - Текущее время (мс)
+   * @param {string} [domain] - Домен портала для выбора профиля
+   * @returns {{counter: number, lastUpdate: number, blockUntil: number}} Новое состояние
+   */
+  leak(state, now, domain) {
+    const current = state || { counter: 0, lastUpdate: now, blockUntil: 0 };
+    const elapsedSeconds = (now - current.lastUpdate) / 1000;
+    const next = { ...current };
+
+    if (elapsedSeconds > 0) {
+      // Уменьшаем счетчик на величину утечки, но не ниже нуля
+      next.counter = Math.max(0, current.counter - elapsedSeconds * this.getLeakRate(current, domain));
+      next.lastUpdate = now;
+    }
+
+    // Учет метода больше не нужен после сброса лимита и окончания блокировки
+    if (current.methods) {
+      next.methods = {};
+      for (const [method, entry] of Object.entries(current.methods)) {
+        if (entry.resetAt > now || entry.blockUntil > now) next.methods[method] = entry;
+      }
+      if (Object.keys(next.methods).length === 0) delete next.methods;
+    }
+
+    return next;
+  }
+
+  /**
+   * Вычисляет, сколько метод должен подождать из-за лимита времени выполнения
+   *
+   * После operatingThreshold от лимита интервал между вызовами метода растет
+   * пропорционально израсходованной части остатка, вплоть до operating_reset_at.
+   *
+   * @param {Object|undefined} entry - Учет метода { operating, resetAt, blockUntil, lastRequestAt }
+   * @param {number} now - Текущее время (мс)
+   * @returns {number} Время ожидания (мс), 0 - метод можно вызывать
+   */
+  getMethodDelay(entry, now) {
+    if (!entry) return 0;
+    if (entry.blockUntil > now) return entry.blockUntil - now;
+
+    const threshold = this.OPERATING_LIMIT * this.OPERATING_THRESHOLD;
+    if (!(entry.operating >= threshold) || !(entry.resetAt > now)) return 0;
+
+    const span = this.OPERATING_LIMIT - threshold;
+    const load = span > 0 ? Math.min(1, (entry.operating - threshold) / span) : 1;
+    const interval = load * (entry.resetAt - now);
+
+    return Math.max(0, Math.ceil((entry.lastRequestAt || 0) + interval - now));
+  }
+
+  /**
+   * Копирует общее состояние в локальное состояние портала
    * @param {Object} portal - Состояние портала
+   * @param {Object|null} state - Состояние из хранилища
+   * @param {Object} [details] - Сведения для события blocked: { method, error }
+   * @private
    */
-  updateCounter(portal) {
+  _syncPortalState(portal, state, details) {
+    if (!state) return;
+
+    portal.counter = state.counter;
+    portal.lastUpdate = state.lastUpdate;
+    portal.methods = state.methods || {};
+    portal.rate = this.getLeakRate(state, portal.domain);
+    this._setBlocked(portal, state.blockUntil, details);
+  }
+
+  /**
+   * Обновляет блокировку портала и сообщает о ее начале и снятии событиями blocked и unblocked
+   *
+   * Блокировку, установленную другим процессом, лимитер замечает при следующем обращении
+   * к хранилищу, а ее снятие - когда очередь портала продолжает работу.
+   *
+   * @param {Object} portal - Состояние портала
+   * @param {number} blockUntil - Время окончания блокировки (мс)
+   * @param {Object} [details={}] - Сведения для события blocked: { method, error }
+   * @private
+   */
+  _setBlocked(portal, blockUntil, details = {}) {
     const now = Date.now();
-    const elapsedSeconds = (now - portal.lastUpdate) / 1000;
+    const wasBlocked = portal.isBlocked;
+    const previousBlockUntil = portal.blockUntil;
 
-    if (elapsedSeconds > 0) {
-      // Вычисляем, насколько уменьшился счетчик за прошедшее время
-      const leakAmount = elapsedSeconds * this.LEAK_RATE;
+    portal.blockUntil = blockUntil;
+    portal.isBlocked = blockUntil > now;
 
-      // Уменьшаем счетчик, но не ниже нуля
-      portal.counter = Math.max(0, portal.counter - leakAmount);
-      portal.lastUpdate = now;
+    if (portal.isBlocked && (!wasBlocked || blockUntil > previousBlockUntil)) {
+      if (!wasBlocked) portal.blockedAt = now;
+      this._emit('blocked', { domain: portal.domain, blockUntil, blockTime: blockUntil - now, ...details });
+    } else if (wasBlocked && !portal.isBlocked) {
+      this._emit('unblocked', { domain: portal.domain, blockedFor: now - (portal.blockedAt || now) });
+      portal.blockedAt = 0;
     }
+  }
 
-    // Проверяем, не истекла ли блокировка
-    if (portal.isBlocked && now > portal.blockUntil) {
-      portal.isBlocked = false;
+  /**
+   * Отправляет событие лимитера, не позволяя ошибкам обработчиков нарушить работу очереди
+   * @param {string} event - Имя события
+   * @param {Object} payload - Данные события
+   * @private
+   */
+  _emit(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      this.logger.error(`Ошибка в обработчике события ${event} лимитера: ${error.message}`, {
+        domain: payload.domain,
+        error: error.message,
+      });
     }
   }
 
@@ -87,26 +524,67 @@ class RequestLimiter {
    * Добавляет запрос в очередь портала
    * @param {string} domain - Домен портала
    * @param {string} method - Метод API
-   * @returns {Promise<void>} Промис, который разрешается, когда запрос может быть выполнен
+   * @param {Object} [options={}] - Опции ожидания
+   * @param {AbortSignal} [options.signal] - Сигнал отмены: задача удаляется из очереди, промис отклоняется
+   * @param {string} [options.priority='normal'] - Полоса приоритета: 'high', 'normal' или 'bulk'
+   * @returns {Promise<void>} Промис, который разрешается, когда запрос может быть выполнен, и отклоняется
+   * ошибкой с кодом queue_overflow или queue_timeout при превышении лимитов очереди
    */
-  throttle(domain, method = '') {
+  throttle(domain, method = '', options = {}) {
     if (!domain) {
       throw new Error('Не указан домен для throttle');
     }
 
+    const { signal, priority = 'normal' } = options;
+    if (!this.PRIORITY_WEIGHTS[priority]) {
+      throw new Error(`Неизвестный приоритет запроса: ${priority}`);
+    }
+
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
     const portal = this.getPortalState(domain);
+    const { maxQueueLength, maxQueueWait } = this.getQueueLimits(domain);
+
+    // Очередь заполнена: отклоняем запрос сразу, не дожидаясь ее обработки
+    if (portal.queue.length + portal.slotQueue.length >= maxQueueLength) {
+      return Promise.reject(this._rejectSaturated(domain, portal, 'queue_overflow', { method, priority }));
+    }
+
     portal.totalRequests++;
 
     // Создаем промис, который разрешится, когда запрос сможет быть выполнен
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      // Убираем задачу из очереди при отмене или истечении времени ожидания
+      const removeTask = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        const index = portal.queue.indexOf(task);
+        if (index !== -1) portal.queue.splice(index, 1);
+        task.execute = null;
+      };
+
+      const onAbort = () => {
+        removeTask();
+        reject(signal.reason);
+      };
+
       // Создаем задачу без замыканий на внешний контекст
       const task = {
         method,
+        priority,
         addedAt: Date.now(),
         execute: () => {
-          // После выполнения задачи увеличиваем счетчик
-          portal.counter += 1;
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+
+          // Единица ведра уже зарезервирована в хранилище
           portal.lastRequestTime = Date.now();
+          portal.servedRequests++;
+          portal.totalQueueWait += portal.lastRequestTime - task.addedAt;
 
           // Разрешаем промис (без возврата функции done, так как запросы последовательные)
           resolve();
@@ -116,6 +594,15 @@ class RequestLimiter {
         },
       };
 
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      if (maxQueueWait !== Infinity) {
+        timer = setTimeout(() => {
+          removeTask();
+          reject(this._rejectSaturated(domain, portal, 'queue_timeout', task));
+        }, maxQueueWait);
+      }
+
       // Добавляем задачу в очередь
       portal.queue.push(task);
 
@@ -132,6 +619,253 @@ class RequestLimiter {
     });
   }
 
+  /**
+   * Занимает слот выполнения запроса к порталу с учетом maxConcurrentPerPortal и maxConcurrentGlobal
+   *
+   * Слот нужно освободить возвращенной функцией после завершения запроса со всеми
+   * повторными попытками. Ожидающие слот запросы портала обслуживаются по полосам
+   * приоритета, а освободившийся общий слот порталы получают по очереди.
+   * Ожидание слота ограничено теми же maxQueueLength и maxQueueWait, что и очередь портала.
+   *
+   * @param {string} domain - Домен портала
+   * @param {Object} [options={}] - Опции ожидания
+   * @param {string} [options.method=''] - Метод API для логов и событий
+   * @param {AbortSignal} [options.signal] - Сигнал отмены ожидания
+   * @param {string} [options.priority='normal'] - Полоса приоритета: 'high', 'normal' или 'bulk'
+   * @returns {Promise<Function>} Функция освобождения слота
+   * @example
+   * const release = await limiter.acquireSlot('company.bitrix24.ru');
+   * try {
+   *   await limiter.throttle('company.bitrix24.ru', 'crm.deal.list');
+   *   // запрос
+   * } finally {
+   *   release();
+   * }
+   */
+  acquireSlot(domain, options = {}) {
+    if (!domain) {
+      throw new Error('Не указан домен для acquireSlot');
+    }
+
+    const { method = '', signal, priority = 'normal' } = options;
+    if (!this.PRIORITY_WEIGHTS[priority]) {
+      throw new Error(`Неизвестный приоритет запроса: ${priority}`);
+    }
+
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    const portal = this.getPortalState(domain);
+    if (portal.slotQueue.length === 0 && this._hasFreeSlot(portal)) {
+      return Promise.resolve(this._takeSlot(portal));
+    }
+
+    const { maxQueueLength, maxQueueWait } = this.getQueueLimits(domain);
+    if (portal.queue.length + portal.slotQueue.length >= maxQueueLength) {
+      return Promise.reject(this._rejectSaturated(domain, portal, 'queue_overflow', { method, priority }));
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const removeWaiter = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        const index = portal.slotQueue.indexOf(waiter);
+        if (index !== -1) portal.slotQueue.splice(index, 1);
+        waiter.execute = null;
+        if (portal.slotQueue.length === 0) this.slotWaiting.delete(domain);
+      };
+
+      const onAbort = () => {
+        removeWaiter();
+        reject(signal.reason);
+      };
+
+      const waiter = {
+        method,
+        priority,
+        addedAt: Date.now(),
+        execute: (release) => {
+          removeWaiter();
+          resolve(release);
+        },
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      if (maxQueueWait !== Infinity) {
+        timer = setTimeout(() => {
+          removeWaiter();
+          reject(this._rejectSaturated(domain, portal, 'queue_timeout', waiter));
+        }, maxQueueWait);
+      }
+
+      portal.slotQueue.push(waiter);
+      this.slotWaiting.add(domain);
+    });
+  }
+
+  /**
+   * Проверяет, есть ли свободный слот для запроса к порталу
+   * @param {Object} portal - Состояние портала
+   * @returns {boolean} true, если лимиты одновременных запросов не исчерпаны
+   * @private
+   */
+  _hasFreeSlot(portal) {
+    return this.inFlight < this.MAX_CONCURRENT_GLOBAL && portal.inFlight < this.MAX_CONCURRENT_PER_PORTAL;
+  }
+
+  /**
+   * Занимает слот и возвращает функцию его однократного освобождения
+   * @param {Object} portal - Состояние портала
+   * @returns {Function} Функция освобождения слота
+   * @private
+   */
+  _takeSlot(portal) {
+    let released = false;
+    this.inFlight++;
+    portal.inFlight++;
+
+    return () => {
+      if (released) return;
+      released = true;
+      this.inFlight--;
+      portal.inFlight--;
+      this._grantSlots();
+    };
+  }
+
+  /**
+   * Передает освободившиеся слоты ожидающим запросам
+   *
+   * Порталы обходятся по кругу: портал, получивший слот, перемещается в конец
+   * списка ожидающих, поэтому один загруженный портал не забирает все общие слоты.
+   *
+   * @private
+   */
+  _grantSlots() {
+    while (this.inFlight < this.MAX_CONCURRENT_GLOBAL) {
+      let granted = false;
+
+      for (const domain of this.slotWaiting) {
+        const portal = this.portals.get(domain);
+        if (!portal || portal.slotQueue.length === 0) {
+          this.slotWaiting.delete(domain);
+          continue;
+        }
+        if (!this._hasFreeSlot(portal)) continue;
+
+        const selected = this._selectTask(portal.slotLanes, portal.slotQueue, () => true);
+        this._advanceLane(portal.slotLanes, selected);
+
+        // Портал уступает очередь остальным ожидающим порталам
+        this.slotWaiting.delete(domain);
+        selected.task.execute(this._takeSlot(portal));
+        if (portal.slotQueue.length > 0) this.slotWaiting.add(domain);
+
+        granted = true;
+        break;
+      }
+
+      if (!granted) return;
+    }
+  }
+
+  /**
+   * Создает ошибку отклонения запроса очередью портала и уведомляет onSaturated
+   * @param {string} domain - Домен портала
+   * @param {Object} portal - Состояние портала
+   * @param {string} reason - Код ошибки: 'queue_overflow' или 'queue_timeout'
+   * @param {{method: string, priority: string}} task - Отклоненный запрос
+   * @returns {Error} Ошибка с полями code, domain, method, priority, queueLength, maxQueueLength, maxQueueWait
+   * @private
+   */
+  _rejectSaturated(domain, portal, reason, { method, priority }) {
+    const { maxQueueLength, maxQueueWait } = this.getQueueLimits(domain);
+    const queueLength = portal.queue.length + portal.slotQueue.length;
+    const info = { domain, reason, method, priority, queueLength, maxQueueLength, maxQueueWait };
+    const message =
+      reason === 'queue_overflow'
+        ? `Очередь запросов портала ${domain} переполнена: ${queueLength} из ${maxQueueLength}`
+        : `Запрос ${method} ожидал в очереди портала ${domain} дольше ${maxQueueWait}ms`;
+
+    this.logger.warn(message, { ...info, apiMethod: method });
+    portal.rejected[reason]++;
+    this._emit('saturated', info);
+
+    if (this.onSaturated) {
+      try {
+        this.onSaturated(info);
+      } catch (error) {
+        this.logger.error(`Ошибка в обработчике onSaturated для ${domain}: ${error.message}`, {
+          domain,
+          error: error.message,
+        });
+      }
+    }
+
+    return Object.assign(new Error(message), { code: reason, ...info });
+  }
+
+  /**
+   * Проверяет, разомкнут ли выключатель портала
+   * @param {string} domain - Домен портала
+   * @returns {boolean} true, если запросы к порталу сейчас отклоняются выключателем
+   */
+  isCircuitOpen(domain) {
+    return this.circuitBreaker ? this.circuitBreaker.isOpen(domain) : false;
+  }
+
+  /**
+   * Разрешает отправку запроса к порталу выключателем
+   *
+   * Разрешенный запрос должен сообщить результат через recordResult, иначе
+   * в полуоткрытом состоянии место пробного запроса останется занятым.
+   *
+   * @param {string} domain - Домен портала
+   * @returns {boolean} true, если запрос можно отправить (всегда true без выключателя)
+   */
+  allowRequest(domain) {
+    return this.circuitBreaker ? this.circuitBreaker.allowRequest(domain) : true;
+  }
+
+  /**
+   * Учитывает результат запроса к порталу в выключателе
+   * @param {string} domain - Домен портала
+   * @param {boolean|null} success - true - портал ответил, false - сбой, null - результат не учитывается
+   */
+  recordResult(domain, success) {
+    if (this.circuitBreaker) this.circuitBreaker.recordResult(domain, success);
+  }
+
+  /**
+   * Сообщает о смене состояния выключателя портала событиями circuitOpen, circuitHalfOpen и circuitClosed
+   * @param {string} domain - Домен портала
+   * @param {string} state - Новое состояние
+   * @param {Object} details - Состояние выключателя: { previousState, failures, failureRate, retryAt, ... }
+   * @private
+   */
+  _onCircuitStateChange(domain, state, details) {
+    const events = {
+      [CircuitBreaker.STATES.OPEN]: 'circuitOpen',
+      [CircuitBreaker.STATES.HALF_OPEN]: 'circuitHalfOpen',
+      [CircuitBreaker.STATES.CLOSED]: 'circuitClosed',
+    };
+
+    if (state === CircuitBreaker.STATES.OPEN) {
+      this.logger.warn(`Выключатель портала ${domain} разомкнут до ${new Date(details.retryAt).toISOString()}`, {
+        domain,
+        ...details,
+      });
+    } else {
+      this.logger.info(`Выключатель портала ${domain}: ${details.previousState} -> ${state}`, { domain, ...details });
+    }
+
+    this._emit(events[state], { domain, ...details });
+  }
+
   /**
    * Обрабатывает очередь запросов для портала
    * @param {string} domain - Домен портала
@@ -146,20 +880,18 @@ class RequestLimiter {
 
       // Обрабатываем очередь, пока в ней есть задачи
       while (portal.queue.length > 0) {
-        // Обновляем счетчик с учетом "утечки"
-        this.updateCounter(portal);
-
-        // Проверяем и ожидаем, если портал заблокирован
-        if (await this._checkAndWaitForBlockage(domain, portal)) continue;
-
         // Проверяем и ожидаем минимальный интервал между запросами
         await this._waitForMinInterval(domain, portal);
 
-        // Проверяем и ожидаем, если "ведро" переполнено
-        if (await this._checkAndWaitForBucket(domain, portal)) continue;
+        // Задачи могли быть отменены во время ожидания
+        if (portal.queue.length === 0) break;
+
+        // Резервируем единицу ведра или ожидаем, если портал заблокирован или ведро переполнено
+        const task = await this._checkAndWaitForCapacity(domain, portal);
+        if (!task) continue;
 
         // Извлекаем и выполняем задачу
-        await this._executeNextTask(domain, portal);
+        await this._executeTask(domain, portal, task);
       }
     } catch (error) {
       this.logger.error(`Ошибка при обработке очереди для ${domain}: ${error.message}`, {
@@ -176,95 +908,204 @@ class RequestLimiter {
   }
 
   /**
-   * Проверяет, заблокирован ли портал, и ожидает окончания блокировки
+   * Проверяет минимальный интервал между запросами и ожидает при необходимости
+   * @param {string} domain - Домен портала
+   * @param {Object} portal - Состояние портала
+   * @private
+   */
+  async _waitForMinInterval(domain, portal) {
+    const now = Date.now();
+    const timeSinceLastRequest = now - portal.lastRequestTime;
+
+    if (portal.lastRequestTime > 0 && timeSinceLastRequest < this.MIN_REQUEST_INTERVAL) {
+      const waitTime = this.MIN_REQUEST_INTERVAL - timeSinceLastRequest;
+      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    }
+  }
+
+  /**
+   * Атомарно резервирует единицу ведра в хранилище для первой задачи очереди,
+   * метод которой не нужно притормаживать из-за лимита времени выполнения
    * @param {string} domain - Домен портала
    * @param {Object} portal - Состояние портала
-   * @returns {Promise<boolean>} true, если была выполнена проверка блокировки и нужно продолжить цикл
+   * @returns {Promise<{task: Object|null, waitTime: number, reason: string|null}>} Задача или время ожидания
    * @private
    */
-  async _checkAndWaitForBlockage(domain, portal) {
-    if (portal.isBlocked) {
-      const now = Date.now();
-      const waitTime = portal.blockUntil - now;
+  async _reserve(domain, portal) {
+    const tasks = portal.queue.slice();
+    let selected = null;
+    let task = null;
+    let waitTime = 0;
+    let reason = null;
 
-      if (waitTime > 0) {
-        this.logger.warn(`Портал ${domain} заблокирован, ожидание ${waitTime}ms`, {
-          domain,
-          waitTime,
-          blockUntil: new Date(portal.blockUntil).toISOString(),
+    try {
+      const state = await this.store.update(domain, (stored) => {
+        const now = Date.now();
+        const next = this.leak(stored, now, domain);
+
+        // Функция может вызываться повторно при оптимистичной блокировке хранилища
+        task = null;
+        waitTime = 0;
+        reason = null;
+
+        if (next.blockUntil > now) {
+          waitTime = next.blockUntil - now;
+          reason = 'blocked';
+          return next;
+        }
+        const { maxBucket, leakRate } = this.getPortalProfile(domain);
+        if (next.counter >= maxBucket) {
+          // Ждем освобождения места для одного запроса
+          waitTime = Math.ceil(((next.counter - maxBucket + 1) / this.getLeakRate(next, domain)) * 1000);
+          reason = 'bucket';
+          return next;
+        }
+
+        const delays = new Map();
+        selected = this._selectTask(portal.lanes, tasks, (candidate) => {
+          if (!delays.has(candidate.method)) {
+            delays.set(candidate.method, this.getMethodDelay(next.methods?.[candidate.method], now));
+          }
+          return delays.get(candidate.method) <= 0;
         });
+        task = selected?.task || null;
 
-        // Ожидаем окончания блокировки
-        await new Promise((resolve) => setTimeout(resolve, waitTime));
+        if (!task) {
+          waitTime = Math.min(...delays.values());
+          reason = 'operating';
+          return next;
+        }
 
-        // Обновляем счетчик после ожидания
-        this.updateCounter(portal);
-        return true; // Продолжить цикл
-      } else {
-        portal.isBlocked = false;
-      }
+        next.counter += 1;
+
+        // Адаптивный режим: скорость восстанавливается после успешных запросов
+        if (this.ADAPTIVE && next.rate > 0) {
+          next.rate += this.ADAPTIVE_INCREASE;
+          if (next.rate >= leakRate) delete next.rate;
+        }
+
+        const entry = next.methods?.[task.method];
+        if (entry) {
+          next.methods = { ...next.methods, [task.method]: { ...entry, lastRequestAt: now } };
+        }
+        return next;
+      });
+
+      this._syncPortalState(portal, state);
+      if (task) this._advanceLane(portal.lanes, selected);
+    } catch (error) {
+      this.logger.error(`Ошибка хранилища лимитера для ${domain}: ${error.message}`, {
+        domain,
+        error: error.message,
+      });
+      return { task: null, waitTime: Math.ceil(1000 / this.getPortalProfile(domain).leakRate), reason: 'store' };
     }
-    return false;
+
+    return { task, waitTime, reason };
   }
 
   /**
-   * Проверяет минимальный интервал между запросами и ожидает при необходимости
-   * @param {string} domain - Домен портала
-   * @param {Object} portal - Состояние портала
+   * Выбирает следующую задачу с учетом полос приоритета
+   *
+   * Полосы обслуживаются по взвешенной очередности: каждая полоса имеет счетчик,
+   * который после обслуживания растет на 1 / вес, и выбирается полоса с наименьшим
+   * счетчиком. Полоса, простаивавшая без задач, не накапливает преимущество.
+   * Внутри полосы задачи выполняются в порядке поступления.
+   *
+   * @param {{passes: Object<string, number>, virtualTime: number}} laneState - Счетчики полос очереди
+   * @param {Object[]} tasks - Задачи очереди
+   * @param {Function} isReady - Проверка, что задачу можно выполнить сейчас (task) => boolean
+   * @returns {{task: Object, lane: string, pass: number}|null} Выбранная задача или null
    * @private
    */
-  async _waitForMinInterval(domain, portal) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - portal.lastRequestTime;
+  _selectTask(laneState, tasks, isReady) {
+    const lanes = new Map();
+    for (const task of tasks) {
+      if (!task.execute) continue;
+      if (!lanes.has(task.priority)) lanes.set(task.priority, []);
+      lanes.get(task.priority).push(task);
+    }
 
-    if (portal.lastRequestTime > 0 && timeSinceLastRequest < this.MIN_REQUEST_INTERVAL) {
-      const waitTime = this.MIN_REQUEST_INTERVAL - timeSinceLastRequest;
-      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    const ranks = Object.keys(this.PRIORITY_WEIGHTS);
+    const order = [...lanes.keys()]
+      .map((lane) => ({ lane, pass: Math.max(laneState.passes[lane] || 0, laneState.virtualTime) }))
+      .sort((a, b) => a.pass - b.pass || ranks.indexOf(a.lane) - ranks.indexOf(b.lane));
+
+    for (const { lane, pass } of order) {
+      const task = lanes.get(lane).find(isReady);
+      if (task) return { task, lane, pass };
     }
+    return null;
   }
 
   /**
-   * Проверяет, не переполнено ли "ведро", и ожидает освобождения места
+   * Продвигает счетчик обслуженной полосы приоритета
+   * @param {{passes: Object<string, number>, virtualTime: number}} laneState - Счетчики полос очереди
+   * @param {{lane: string, pass: number}} selected - Выбранная полоса
+   * @private
+   */
+  _advanceLane(laneState, { lane, pass }) {
+    laneState.passes[lane] = pass + 1 / this.PRIORITY_WEIGHTS[lane];
+    laneState.virtualTime = pass;
+  }
+
+  /**
+   * Резервирует единицу ведра и ожидает, если портал заблокирован, "ведро" переполнено
+   * или все методы в очереди притормаживаются
    * @param {string} domain - Домен портала
    * @param {Object} portal - Состояние портала
-   * @returns {Promise<boolean>} true, если ведро было переполнено и нужно продолжить цикл
+   * @returns {Promise<Object|null>} Задача для выполнения или null, если было ожидание и нужно продолжить цикл
    * @private
    */
-  async _checkAndWaitForBucket(domain, portal) {
-    if (portal.counter >= this.MAX_BUCKET) {
-      // Вычисляем время ожидания для освобождения места в ведре
-      const requestsToWaitFor = 1; // Ждем освобождения для 1 запроса
-      const waitTime = Math.ceil((requestsToWaitFor / this.LEAK_RATE) * 1000);
+  async _checkAndWaitForCapacity(domain, portal) {
+    const { task, waitTime, reason } = await this._reserve(domain, portal);
+    if (task) return task;
+    // Все задачи отменены во время резервирования
+    if (!(waitTime > 0) || waitTime === Infinity) return null;
 
+    if (reason === 'blocked') {
+      this.logger.warn(`Портал ${domain} заблокирован, ожидание ${waitTime}ms`, {
+        domain,
+        waitTime,
+        blockUntil: new Date(portal.blockUntil).toISOString(),
+      });
+    } else if (reason === 'bucket') {
       const method = portal.queue.length > 0 ? portal.queue[0].method : '';
 
       this.logger.warn(`Ведро переполнено для ${domain}, ожидание ${waitTime}ms`, {
         domain,
         apiMethod: method,
         counter: portal.counter,
-        maxBucket: this.MAX_BUCKET,
+        maxBucket: this.getPortalProfile(domain).maxBucket,
+        queueLength: portal.queue.length,
+      });
+    } else if (reason === 'operating') {
+      this.logger.warn(`Методы в очереди ${domain} приближаются к лимиту времени выполнения, ожидание ${waitTime}ms`, {
+        domain,
+        waitTime,
+        methods: Object.keys(portal.methods),
         queueLength: portal.queue.length,
       });
-
-      // Ожидаем освобождения места в ведре
-      await new Promise((resolve) => setTimeout(resolve, waitTime));
-
-      // Обновляем счетчик после ожидания
-      this.updateCounter(portal);
-      return true; // Продолжить цикл
     }
-    return false;
+
+    // Новая задача другого метода не должна ждать окончания притормаживания
+    await new Promise((resolve) => setTimeout(resolve, reason === 'operating' ? Math.min(waitTime, 1000) : waitTime));
+    return null;
   }
 
   /**
-   * Извлекает и выполняет следующую задачу из очереди
+   * Извлекает задачу из очереди и выполняет ее
    * @param {string} domain - Домен портала
    * @param {Object} portal - Состояние портала
+   * @param {Object} task - Задача, для которой зарезервирована единица ведра
    * @private
    */
-  async _executeNextTask(domain, portal) {
-    // Извлекаем задачу из начала очереди
-    const task = portal.queue.shift();
+  async _executeTask(domain, portal, task) {
+    // Задача могла быть отменена во время резервирования, тогда зарезервированная
+    // единица ведра просто утечет
+    const index = portal.queue.indexOf(task);
+    if (index === -1) return;
+    portal.queue.splice(index, 1);
 
     // Логируем состояние "ведра" периодически
     this._logBucketFillIfNeeded(domain, portal, task.method);
@@ -293,12 +1134,13 @@ class RequestLimiter {
    */
   _logBucketFillIfNeeded(domain, portal, method) {
     if (portal.totalRequests % 10 === 0) {
-      const fillPercent = Math.round((portal.counter / this.MAX_BUCKET) * 100);
+      const { maxBucket } = this.getPortalProfile(domain);
+      const fillPercent = Math.round((portal.counter / maxBucket) * 100);
       this.logger.debug(`Заполненность ведра для ${domain}: ${fillPercent}%`, {
         domain,
         apiMethod: method,
         counter: portal.counter,
-        maxBucket: this.MAX_BUCKET,
+        maxBucket,
         queueLength: portal.queue.length,
       });
     }
@@ -331,32 +1173,184 @@ class RequestLimiter {
     }
   }
 
+  /**
+   * Учитывает время выполнения метода из блока time успешного ответа
+   *
+   * Метод сохраняется в общем состоянии портала, только пока его operating
+   * не ниже operatingThreshold от лимита, поэтому обычные ответы не требуют
+   * записи в хранилище.
+   *
+   * @param {string} domain - Домен портала
+   * @param {string} method - Метод API
+   * @param {Object} result - Ответ Bitrix24 с блоком time
+   * @returns {Promise<void>}
+   */
+  async handleSuccess(domain, method, result) {
+    const operating = Number(result?.time?.operating);
+    if (!domain || !method || !Number.isFinite(operating)) return;
+
+    const portal = this.getPortalState(domain);
+    const tracked = operating >= this.OPERATING_LIMIT * this.OPERATING_THRESHOLD;
+    if (!tracked && !portal.methods[method]) return;
+
+    const resetAt = Number(result.time.operating_reset_at) * 1000 || 0;
+    const wasTracked = Boolean(portal.methods[method]);
+
+    try {
+      const state = await this.store.update(domain, (stored) => {
+        const next = this.leak(stored, Date.now(), domain);
+        const methods = { ...next.methods };
+
+        if (tracked) {
+          methods[method] = { ...methods[method], operating, resetAt };
+        } else {
+          delete methods[method];
+        }
+
+        next.methods = methods;
+        if (Object.keys(methods).length === 0) delete next.methods;
+        return next;
+      });
+      this._syncPortalState(portal, state);
+    } catch (error) {
+      this.logger.error(`Ошибка хранилища лимитера для ${domain}: ${error.message}`, {
+        domain,
+        error: error.message,
+      });
+      return;
+    }
+
+    if (tracked && !wasTracked) {
+      this.logger.warn(
+        `Метод ${method} портала ${domain} израсходовал ${operating}s из ${this.OPERATING_LIMIT}s времени выполнения`,
+        {
+          domain,
+          apiMethod: method,
+          operating,
+          operatingLimit: this.OPERATING_LIMIT,
+          operating_reset_at: resetAt ? new Date(resetAt).toISOString() : null,
+        }
+      );
+    }
+  }
+
+  /**
+   * Блокирует метод после ошибки OPERATION_TIME_LIMIT до operating_reset_at
+   * @param {string} domain - Домен портала
+   * @param {Object} result - Ответ с ошибкой
+   * @param {string} method - Метод API
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _blockMethod(domain, result, method) {
+    const portal = this.getPortalState(domain);
+    portal.limitHits++;
+    const resetAt = Number(result.time?.operating_reset_at) * 1000 || 0;
+    let blockUntil = 0;
+
+    try {
+      const state = await this.store.update(domain, (stored) => {
+        const now = Date.now();
+        const next = this.leak(stored, now, domain);
+        const entry = next.methods?.[method] || {};
+
+        // Время сброса из ответа или Retry-After, иначе из последнего успешного ответа
+        const retryAt = result.retryAfter > 0 ? now + result.retryAfter : 0;
+        blockUntil =
+          resetAt > now ? resetAt : retryAt || (entry.resetAt > now ? entry.resetAt : now + this.OPERATING_BLOCK_TIME);
+
+        next.methods = {
+          ...next.methods,
+          [method]: {
+            ...entry,
+            operating: Math.max(entry.operating || 0, this.OPERATING_LIMIT),
+            resetAt: blockUntil,
+            blockUntil,
+          },
+        };
+        return next;
+      });
+      this._syncPortalState(portal, state);
+    } catch (error) {
+      this.logger.error(`Ошибка хранилища лимитера для ${domain}: ${error.message}`, {
+        domain,
+        error: error.message,
+      });
+      return;
+    }
+
+    this.logger.warn(
+      `Метод ${method} портала ${domain} заблокирован по времени выполнения до ${new Date(blockUntil).toISOString()}`,
+      {
+        domain,
+        apiMethod: method,
+        blockTime: blockUntil - Date.now(),
+        error: result.error,
+        error_description: result.error_description,
+        queueLength: portal.queue.length,
+      }
+    );
+  }
+
   /**
    * Обрабатывает ошибку превышения лимита
+   *
+   * QUERY_LIMIT_EXCEEDED блокирует все запросы портала, OPERATION_TIME_LIMIT -
+   * только вызвавший ошибку метод. Если портал передал Retry-After (result.retryAfter),
+   * блокировка длится не меньше указанного времени.
+   *
    * @param {string} domain - Домен портала
    * @param {Object} result - Результат запроса с возможной ошибкой
+   * @param {number} [result.status] - HTTP-статус ответа
+   * @param {number} [result.retryAfter] - Задержка из заголовка Retry-After (мс)
    * @param {string} [method=''] - Метод API, вызвавший ошибку
+   * @returns {Promise<void>}
    */
-  handleResponse(domain, result, method = '') {
+  async handleResponse(domain, result, method = '') {
     if (!domain || !result) return;
 
+    if (result.error === 'OPERATION_TIME_LIMIT') {
+      if (method) await this._blockMethod(domain, result, method);
+      return;
+    }
+
     // Проверяем наличие ошибки превышения лимита
-    const isLimitError =
-      result.error === 'QUERY_LIMIT_EXCEEDED' ||
-      (result.error_description && result.error_description.includes('limit exceeded')) ||
-      result.status === 503;
+    if (!RequestLimiter.isLimitError(result)) return;
 
-    if (!isLimitError) return;
+    const retryAfter = result.retryAfter > 0 ? result.retryAfter : 0;
 
     const portal = this.getPortalState(domain);
+    portal.limitHits++;
+    const { maxBucket, leakRate } = this.getPortalProfile(domain);
+    let blockTime = retryAfter || this.MAX_BLOCK_TIME;
 
-    // Устанавливаем блокировку
-    const blockTime = this.MAX_BLOCK_TIME;
-    portal.isBlocked = true;
-    portal.blockUntil = Date.now() + blockTime;
+    try {
+      const state = await this.store.update(domain, (stored) => {
+        const now = Date.now();
+        const next = this.leak(stored, now, domain);
 
-    // Заполняем "ведро" на 90%
-    portal.counter = this.MAX_BUCKET * 0.9;
+        if (!this.ADAPTIVE) {
+          // Устанавливаем блокировку и заполняем "ведро" на 90%
+          blockTime = retryAfter || this.MAX_BLOCK_TIME;
+          return { ...next, blockUntil: now + blockTime, counter: maxBucket * 0.9 };
+        }
+
+        // Адаптивный режим: ведро портала заполнено, снижаем скорость
+        // и ждем освобождения одной единицы с новой скоростью
+        const rate = Math.max(this.MIN_LEAK_RATE, this.getLeakRate(next, domain) * this.ADAPTIVE_DECREASE);
+        blockTime = Math.max(Math.ceil(1000 / rate), retryAfter);
+        return { ...next, rate: Math.min(rate, leakRate), blockUntil: now + blockTime, counter: maxBucket };
+      });
+      this._syncPortalState(portal, state, { method, error: result.error });
+    } catch (error) {
+      this.logger.error(`Ошибка хранилища лимитера для ${domain}: ${error.message}`, {
+        domain,
+        error: error.message,
+      });
+
+      // Блокируем хотя бы очередь этого процесса
+      this._setBlocked(portal, Date.now() + blockTime, { method, error: result.error });
+    }
 
     this.logger.warn(`Превышен лимит запросов для ${domain}! Блокировка на ${blockTime}ms`, {
       domain,
@@ -365,12 +1359,135 @@ class RequestLimiter {
       error: result.error,
       error_description: result.error_description,
       counter: portal.counter,
-      maxBucket: this.MAX_BUCKET,
+      maxBucket,
+      leakRate: this.ADAPTIVE ? portal.rate : leakRate,
       queueLength: portal.queue.length,
       status: result.status || 429, // Для совместимости с логгером
     });
   }
 
+  /**
+   * Возвращает статистику лимитера по порталу или по всем порталам процесса
+   *
+   * Значения ведра рассчитываются по последнему известному процессу состоянию
+   * хранилища с учетом утечки к текущему моменту.
+   *
+   * @param {string} [domain] - Домен портала
+   * @returns {Object|Object<string, Object>|null} Статистика портала, статистика всех порталов по домену
+   * или null, если лимитер не обращался к порталу
+   * @example
+   * const { fillPercent, queueLength, blockedUntil } = limiter.getStats('company.bitrix24.ru');
+   */
+  getStats(domain) {
+    if (domain === undefined) {
+      const stats = {};
+      for (const name of this.portals.keys()) {
+        stats[name] = this.getStats(name);
+      }
+      return stats;
+    }
+
+    const portal = this.portals.get(domain);
+    if (!portal) return null;
+
+    const now = Date.now();
+    const { name, maxBucket } = this.getPortalProfile(domain);
+    const rate = portal.rate || this.getLeakRate(null, domain);
+    const counter = Math.max(0, portal.counter - (Math.max(0, now - portal.lastUpdate) / 1000) * rate);
+
+    const queueByPriority = Object.fromEntries(Object.keys(this.PRIORITY_WEIGHTS).map((lane) => [lane, 0]));
+    for (const task of [...portal.queue, ...portal.slotQueue]) {
+      queueByPriority[task.priority] = (queueByPriority[task.priority] || 0) + 1;
+    }
+
+    return {
+      domain,
+      profile: name,
+      counter: Math.round(counter * 100) / 100,
+      maxBucket,
+      fillPercent: Math.min(100, Math.round((counter / maxBucket) * 100)),
+      leakRate: rate,
+      queueLength: portal.queue.length + portal.slotQueue.length,
+      queueByPriority,
+      inFlight: portal.inFlight,
+      isBlocked: portal.blockUntil > now,
+      blockedUntil: portal.blockUntil > now ? portal.blockUntil : null,
+      blockedMethods: Object.keys(portal.methods).filter((method) => portal.methods[method].blockUntil > now),
+      totalRequests: portal.totalRequests,
+      limitHits: portal.limitHits,
+      rejected: { ...portal.rejected },
+      averageQueueWait: portal.servedRequests ? Math.round(portal.totalQueueWait / portal.servedRequests) : 0,
+      lastRequestTime: portal.lastRequestTime || null,
+      circuit: this.circuitBreaker ? this.circuitBreaker.getState(domain) : null,
+    };
+  }
+
+  /**
+   * Сбрасывает состояние портала, например после удаления приложения
+   *
+   * Если в очереди портала остались запросы, они будут выполнены, а состояние
+   * удалится при следующей очистке неактивных порталов. Общее состояние ведра
+   * удаляется из хранилища сразу.
+   *
+   * @param {string} domain - Домен портала
+   * @returns {boolean} true, если состояние портала было удалено
+   */
+  clearPortal(domain) {
+    if (this.circuitBreaker) this.circuitBreaker.delete(domain);
+
+    this.store.delete(domain).catch((error) => {
+      this.logger.error(`Ошибка хранилища лимитера для ${domain}: ${error.message}`, {
+        domain,
+        error: error.message,
+      });
+    });
+
+    const portal = this.portals.get(domain);
+    if (!portal) return false;
+
+    if (portal.queue.length > 0 || portal.isProcessingQueue || portal.slotQueue.length > 0 || portal.inFlight > 0) {
+      portal.counter = 0;
+      this._setBlocked(portal, 0);
+      portal.lastRequestTime = 0;
+
+      this.logger.debug(`Очередь портала ${domain} не пуста, состояние будет удалено после ее обработки`, {
+        domain,
+        queueLength: portal.queue.length,
+      });
+      return false;
+    }
+
+    this.portals.delete(domain);
+    this.logger.debug(`Состояние портала ${domain} очищено`, { domain });
+    return true;
+  }
+
+  /**
+   * Удаляет из хранилища полностью утекшее состояние портала
+   *
+   * Отсутствующее состояние равнозначно пустому ведру, поэтому удаление
+   * не влияет на другие процессы, использующие то же хранилище.
+   *
+   * @param {string} domain - Домен портала
+   * @private
+   */
+  _pruneStoredState(domain) {
+    this.store
+      .update(domain, (stored) => {
+        if (!stored) return null;
+
+        const now = Date.now();
+        const next = this.leak(stored, now, domain);
+        return next.counter === 0 && next.blockUntil <= now && !next.methods ? null : stored;
+      })
+      .catch((error) => {
+        this.logger.error(`Ошибка хранилища лимитера для ${domain}: ${error.message}`, {
+          domain,
+          error: error.message,
+        });
+      });
+  }
+
   /**
    * Очищает неиспользуемые порталы для экономии памяти
    */
@@ -381,8 +1498,16 @@ class RequestLimiter {
 
     for (const [domain, portal] of this.portals.entries()) {
       // Если портал не использовался долгое время и очередь пуста
-      if (portal.queue.length === 0 && now - portal.lastRequestTime > inactiveThreshold) {
+      if (
+        portal.queue.length === 0 &&
+        portal.slotQueue.length === 0 &&
+        portal.inFlight === 0 &&
+        now - portal.lastRequestTime > inactiveThreshold &&
+        !this.isCircuitOpen(domain)
+      ) {
         this.portals.delete(domain);
+        if (this.circuitBreaker) this.circuitBreaker.delete(domain);
+        this._pruneStoredState(domain);
         cleanedCount++;
       }
     }
@@ -398,7 +1523,10 @@ class RequestLimiter {
   }
 }
 
-// Создаем экземпляр лимитера
-const limiter = new RequestLimiter();
+// Создаем экземпляр лимитера по умолчанию
+const defaultLimiter = new RequestLimiter();
 
-module.exports = limiter;
+// Экспорт по умолчанию - экземпляр лимитера, как в предыдущих версиях: require(...).throttle(...)
+module.exports = defaultLimiter;
+module.exports.RequestLimiter = RequestLimiter;
+module.exports.defaultLimiter = defaultLimiter;
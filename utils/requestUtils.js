@@ -1,3 +1,5 @@
+const { Agent } = require('undici');
+
 /**
  * Возвращает стандартные заголовки для запросов к API Bitrix24
  *
@@ -32,7 +34,114 @@ function extractDomainFromEndpoint(endpoint) {
   }
 }
 
+/**
+ * Создает HTTP-агент undici с пулом соединений для запросов к Bitrix24
+ *
+ * @param {Object} [options={}] - Настройки агента undici
+ * @returns {Agent} Экземпляр HTTP-агента
+ */
+function createAgent(options = {}) {
+  return new Agent({
+    keepAliveTimeout: 30_000, // держим сокет 30 с
+    connections: 300, // пул
+    ...options,
+  });
+}
+
+/**
+ * Объединяет несколько AbortSignal в один, который срабатывает при отмене любого из них
+ *
+ * Обработчики добавляются к исходным сигналам, поэтому после завершения запроса нужно
+ * вызвать cleanup: иначе долгоживущий сигнал вызывающего кода накапливает обработчики.
+ *
+ * @param {...(AbortSignal|undefined)} signals - Сигналы отмены (undefined игнорируются)
+ * @returns {{signal: AbortSignal|undefined, cleanup: Function}} Объединенный сигнал (undefined, если сигналов нет)
+ * и функция, снимающая обработчики с исходных сигналов
+ */
+function combineSignals(...signals) {
+  const activeSignals = signals.filter(Boolean);
+  if (activeSignals.length <= 1) return { signal: activeSignals[0], cleanup: () => {} };
+
+  // AbortSignal.any доступен только с Node.js 20.3, поэтому объединяем вручную
+  const controller = new AbortController();
+  const listeners = [];
+  const cleanup = () => {
+    for (const [signal, listener] of listeners) {
+      signal.removeEventListener('abort', listener);
+    }
+    listeners.length = 0;
+  };
+
+  for (const signal of activeSignals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    const listener = () => {
+      cleanup();
+      controller.abort(signal.reason);
+    };
+    signal.addEventListener('abort', listener, { once: true });
+    listeners.push([signal, listener]);
+  }
+
+  if (controller.signal.aborted) cleanup();
+  return { signal: controller.signal, cleanup };
+}
+
+/**
+ * Ожидает указанное время с возможностью досрочного прерывания
+ *
+ * При отмене сигнала промис разрешается сразу, проверка signal.aborted остается за вызывающим кодом.
+ *
+ * @param {number} ms - Время ожидания в мс
+ * @param {AbortSignal} [signal] - Сигнал отмены ожидания
+ * @returns {Promise<void>} Промис, разрешающийся после паузы или отмены
+ */
+function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Разбирает заголовок Retry-After: число секунд или HTTP-дату
+ *
+ * @param {string|null} value - Значение заголовка
+ * @param {number} [now=Date.now()] - Текущее время (мс)
+ * @returns {number|null} Задержка в мс или null, если заголовок отсутствует или некорректен
+ *
+ * @example
+ * parseRetryAfter('2'); // 2000
+ * parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT'); // мс до указанного времени
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.ceil(Number(trimmed) * 1000);
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
 module.exports = {
   getDefaultHeaders,
   extractDomainFromEndpoint,
+  createAgent,
+  combineSignals,
+  sleep,
+  parseRetryAfter,
 };
@@ -0,0 +1,121 @@
+/**
+ * Политика повторных попыток запроса
+ *
+ * Определяет, повторять ли запрос после ошибки (shouldRetry), и паузу перед
+ * повтором: экспоненциальную от базовой паузы с джиттером и ограничением maxDelay.
+ * Срок deadline ограничивает весь вызов: попытки, паузы между ними и ожидание
+ * в очереди лимитера.
+ *
+ * Стратегии джиттера (base - базовая пауза, exp = min(maxDelay, base * 2^attempt)):
+ * - proportional - exp и случайная добавка до 30% exp, не больше maxDelay (по умолчанию,
+ *   та же кривая, что и до появления политики повторов);
+ * - none - ровно exp;
+ * - full - случайная пауза от 0 до exp;
+ * - equal - половина exp и случайная добавка до половины exp;
+ * - decorrelated - случайная пауза от base до утроенной предыдущей паузы, не больше maxDelay.
+ *
+ * Вместо экземпляра можно передать любой объект с методами shouldRetry и getDelay
+ * и необязательным полем deadline.
+ *
+ * @class RetryPolicy
+ * @since 0.6.0
+ * @example
+ * const policy = new RetryPolicy({
+ *   jitter: 'decorrelated',
+ *   maxDelay: 10000,
+ *   deadline: 60000,
+ *   shouldRetry: (error, attempt, { retryable, status }) => retryable && status !== 500,
+ * });
+ * await client.call('crm.deal.list', {}, auth, { retryPolicy: policy });
+ */
+class RetryPolicy {
+  /**
+   * Стратегии джиттера
+   * @type {string[]}
+   */
+  static JITTER = ['proportional', 'none', 'full', 'equal', 'decorrelated'];
+
+  /**
+   * Пользовательское решение о повторе
+   * @private
+   * @type {Function|null}
+   */
+  #shouldRetry;
+
+  /**
+   * @param {Object} [options={}] - Настройки политики
+   * @param {string} [options.jitter='proportional'] - Стратегия джиттера: 'proportional', 'none', 'full', 'equal'
+   * или 'decorrelated'
+   * @param {number} [options.baseDelay] - Базовая пауза (мс), по умолчанию pause запроса
+   * @param {number} [options.maxDelay=30000] - Максимальная пауза между попытками (мс)
+   * @param {number|null} [options.deadline=null] - Общий срок вызова с учетом всех попыток и ожидания в лимитере (мс)
+   * @param {Function} [options.shouldRetry] - Решение о повторе (error, attempt, context) => boolean,
+   * context.retryable содержит решение по умолчанию
+   * @throws {Error} Если стратегия джиттера неизвестна или shouldRetry не является функцией
+   */
+  constructor(options = {}) {
+    const jitter = options.jitter || 'proportional';
+    if (!RetryPolicy.JITTER.includes(jitter)) {
+      throw new Error(`Неизвестная стратегия джиттера: ${jitter}`);
+    }
+    if (options.shouldRetry !== undefined && typeof options.shouldRetry !== 'function') {
+      throw new Error('shouldRetry должен быть функцией');
+    }
+
+    this.jitter = jitter;
+    this.baseDelay = options.baseDelay;
+    this.maxDelay = options.maxDelay || 30000;
+    this.deadline = options.deadline || null;
+    this.#shouldRetry = options.shouldRetry || null;
+  }
+
+  /**
+   * Решает, повторять ли запрос после ошибки
+   * @param {Error|Object} error - Сетевая ошибка или объект ошибки сервера
+   * @param {number} attempt - Номер повтора (1 - первый повтор)
+   * @param {Object} context - Сведения о запросе
+   * @param {string} context.kind - Вид ошибки: 'network' или 'server'
+   * @param {boolean} context.retryable - Решение по умолчанию
+   * @param {boolean} [context.ambiguous] - Портал мог выполнить запрос до сбоя
+   * @param {string} context.method - Метод API
+   * @param {string} context.methodClass - Класс метода: 'safe', 'unsafe' или 'other'
+   * @param {string} context.domain - Домен портала
+   * @param {number} [context.status] - HTTP-статус ответа
+   * @param {number} context.remainingTryes - Оставшиеся попытки
+   * @returns {boolean} true, если запрос нужно повторить
+   */
+  shouldRetry(error, attempt, context) {
+    return this.#shouldRetry ? Boolean(this.#shouldRetry(error, attempt, context)) : context.retryable;
+  }
+
+  /**
+   * Рассчитывает паузу перед повтором
+   * @param {number} attempt - Номер повтора (1 - первый повтор)
+   * @param {Object} [context={}] - Сведения о запросе
+   * @param {number} [context.pause] - Базовая пауза запроса (мс), если не задан baseDelay
+   * @param {number} [context.previousDelay] - Предыдущая пауза (мс) для стратегии decorrelated
+   * @returns {number} Пауза в мс
+   */
+  getDelay(attempt, context = {}) {
+    const base = this.baseDelay ?? context.pause;
+    if (!base) return 0;
+
+    const exponential = Math.min(this.maxDelay, base * 2 ** attempt);
+    switch (this.jitter) {
+      case 'none':
+        return Math.floor(exponential);
+      case 'full':
+        return Math.floor(Math.random() * exponential);
+      case 'decorrelated': {
+        const upper = Math.max(base, (context.previousDelay || base) * 3);
+        return Math.floor(Math.min(this.maxDelay, base + Math.random() * (upper - base)));
+      }
+      case 'equal':
+        return Math.floor(exponential / 2 + (Math.random() * exponential) / 2);
+      default:
+        return Math.floor(Math.min(this.maxDelay, exponential + Math.random() * 0.3 * exponential));
+    }
+  }
+}
+
+module.exports = RetryPolicy;
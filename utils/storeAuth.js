@@ -11,7 +11,26 @@ async function writeAuth(appSettings) {
   return true;
 }
 
+/* Удаление авторизации, только если файл принадлежит удаляемому порталу */
+async function deleteAuth(auth) {
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync('./tests/auth.json', 'utf8'));
+  } catch {
+    return false;
+  }
+
+  const isSamePortal = auth?.member_id && stored.member_id
+    ? auth.member_id === stored.member_id
+    : Boolean(auth?.domain) && auth.domain === stored.domain;
+  if (!isSamePortal) return false;
+
+  fs.rmSync('./tests/auth.json', { force: true });
+  return true;
+}
+
 module.exports = {
   readAuth,
   writeAuth,
+  deleteAuth,
 };
@@ -64,7 +64,100 @@ function validateRequest(method, auth, config) {
   if (!config.client_secret) throw new Error('client_secret required');
 }
 
+/**
+ * Проверяет URL входящего вебхука Bitrix24
+ *
+ * Вебхук имеет вид https://portal.bitrix24.ru/rest/<user_id>/<secret>/
+ * и сам является учетными данными для вызова методов.
+ *
+ * @param {string} webhook - URL входящего вебхука
+ * @returns {boolean} true, если URL соответствует формату вебхука, иначе false
+ *
+ * @example
+ * validateWebhook('https://example.bitrix24.ru/rest/1/abc123def456/');
+ * // Вернет: true
+ */
+function validateWebhook(webhook) {
+  if (!webhook || typeof webhook !== 'string') return false;
+
+  try {
+    const url = new URL(webhook);
+    return /^https?:$/.test(url.protocol) && /^\/rest\/\d+\/[^/]+\/?$/.test(url.pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Проверяет параметры запроса через входящий вебхук
+ *
+ * @param {string} method - Метод API Bitrix24
+ * @param {Object} config - Конфигурация API клиента
+ * @param {string} config.webhook - URL входящего вебхука
+ * @throws {Error} Если отсутствует параметр method
+ * @throws {Error} Если URL вебхука имеет неверный формат
+ */
+function validateWebhookRequest(method, config) {
+  if (!method) {
+    throw new Error('method parameter is required');
+  }
+
+  if (!validateWebhook(config.webhook)) {
+    throw new Error('webhook must be a URL like https://portal.bitrix24.ru/rest/<user_id>/<secret>/');
+  }
+}
+
+/**
+ * Дополняет авторизацию абсолютным временем истечения токена
+ *
+ * Если в объекте есть только expires_in (например, при установке с интерфейсом),
+ * вычисляет expires относительно текущего момента — момента сохранения.
+ *
+ * @param {Object} auth - Объект авторизации
+ * @param {number} [auth.expires] - Время истечения токена (Unix timestamp, секунды)
+ * @param {number} [auth.expires_in] - Время жизни токена в секундах
+ * @returns {Object} Объект авторизации с полем expires
+ *
+ * @example
+ * withExpiresTimestamp({ access_token: 'token123', expires_in: 3600 });
+ * // Вернет: { access_token: 'token123', expires_in: 3600, expires: <сейчас + 3600> }
+ */
+function withExpiresTimestamp(auth) {
+  if (!auth || Number(auth.expires) > 0 || !(Number(auth.expires_in) > 0)) {
+    return auth;
+  }
+
+  return {
+    ...auth,
+    expires: Math.floor(Date.now() / 1000) + Number(auth.expires_in),
+  };
+}
+
+/**
+ * Проверяет, истекает ли токен доступа в ближайшее время
+ *
+ * @param {Object} auth - Объект авторизации
+ * @param {number} [auth.expires] - Время истечения токена (Unix timestamp, секунды)
+ * @param {number} [margin=0] - Запас в секундах до истечения
+ * @returns {boolean} true, если до истечения осталось не больше margin секунд;
+ * false, если время истечения неизвестно
+ *
+ * @example
+ * isAuthExpiring({ expires: Math.floor(Date.now() / 1000) + 30 }, 60);
+ * // Вернет: true
+ */
+function isAuthExpiring(auth, margin = 0) {
+  const expires = Number(auth?.expires);
+  if (!(expires > 0)) return false;
+
+  return expires - margin <= Date.now() / 1000;
+}
+
 module.exports = {
   validateAuth,
   validateRequest,
+  validateWebhook,
+  validateWebhookRequest,
+  withExpiresTimestamp,
+  isAuthExpiring,
 };